@@ -28,17 +28,230 @@ const myUtils = require('./myUtils');
 const assert = require('assert');
 const timers = require('timers');
 
+/**
+ * Types of lifecycle events emitted by containers.
+ *
+ * Events are objects of type `lifecycleEventType`:
+ *
+ *     {type: string, container: string, time: number, child=: string,
+ *      children=: Array.<string>, error=: Error, changes=: Object}
+ *
+ * where `container` is the name of the container emitting the event, and
+ * `child` or `children` the names of the affected children, if any.
+ *
+ * Containers also forward the events of children that are containers, once
+ * those children have been created.
+ *
+ * @type {Object<string, string>}
+ *
+ * @memberof! module:caf_components/containerUtils
+ * @alias EVENTS
+ */
+const EVENTS = exports.EVENTS = {
+    CHILD_CREATING: 'childCreating',
+    CHILD_CREATED: 'childCreated',
+    CHILD_FAILED: 'childFailed',
+    CHILD_ABANDONED: 'childAbandoned',
+    CHECKUP_FAILED: 'checkupFailed',
+    RESTART_ALL: 'restartAll',
+    SHUTDOWN_STARTED: 'shutdownStarted',
+    SHUTDOWN_COMPLETED: 'shutdownCompleted',
+    RECONFIGURED: 'reconfigured',
+    DIE: 'die'
+};
+
+/**
+ * Returns the optional timeout of a component for an operation.
+ *
+ * Timeouts are configured in the `env` of any component with the property
+ * `__ca_timeouts__` of type `{create=: number, checkup=: number,
+ * shutdown=: number}`, in msec.
+ *
+ * @param {specType} spec A component description.
+ * @param {string} op The operation, i.e., `create`, `checkup`, or
+ * `shutdown`.
+ * @return {number|undefined} A timeout in msec, or `undefined` if none.
+ *
+ * @memberof! module:caf_components/containerUtils
+ * @alias getTimeout
+ */
+const getTimeout = exports.getTimeout = function(spec, op) {
+    const timeouts = spec && spec.env && spec.env.__ca_timeouts__;
+    return timeouts ? timeouts[op] : undefined;
+};
+
+/**
+ * Whether some children declare dependencies on their siblings with
+ * `dependsOn`.
+ *
+ * @param {Array.<specType>} childrenSpec A description of the children.
+ * @return {boolean} True if some child has a non-empty `dependsOn` list.
+ *
+ * @memberof! module:caf_components/containerUtils
+ * @alias hasDependencies
+ */
+exports.hasDependencies = function(childrenSpec) {
+    return childrenSpec.some(function(x) {
+        return Array.isArray(x.dependsOn) && (x.dependsOn.length > 0);
+    });
+};
+
+/**
+ * Sorts children descriptions so that a child always comes after the siblings
+ * in its `dependsOn` list.
+ *
+ * Independent children keep their description order, and with no
+ * dependencies the order does not change.
+ *
+ * @param {Array.<specType>} childrenSpec A description of the children.
+ * @return {Array.<specType>} The sorted descriptions.
+ *
+ * @throws {Error} If a dependency is missing, or dependencies are cyclic.
+ *
+ * @memberof! module:caf_components/containerUtils
+ * @alias sortChildren
+ */
+exports.sortChildren = function(childrenSpec) {
+    const names = {};
+    childrenSpec.forEach(function(x) { names[x.name] = true;});
+    childrenSpec.forEach(function(x) {
+        (x.dependsOn || []).forEach(function(dep) {
+            if (!names[dep]) {
+                const err = new Error('Missing dependency ' + dep + ' for ' +
+                                      x.name);
+                err.name = x.name;
+                err['dependsOn'] = x.dependsOn;
+                throw err;
+            }
+        });
+    });
+
+    const result = [];
+    const done = {};
+    const isReady = function(x) {
+        return !done[x.name] &&
+            (x.dependsOn || []).every(function(dep) { return done[dep];});
+    };
+    while (result.length < childrenSpec.length) {
+        const next = childrenSpec.find(isReady);
+        if (!next) {
+            const cycle = childrenSpec
+                .filter(function(x) { return !done[x.name];})
+                .map(function(x) { return x.name;});
+            const err = new Error('Cyclic dependencies in ' +
+                                  cycle.join(', '));
+            err['children'] = cycle;
+            throw err;
+        }
+        done[next.name] = true;
+        result.push(next);
+    }
+    return result;
+};
+
+/**
+ * Schema for the optional `retryBackoff` property of a container.
+ *
+ * @type {schemaType}
+ *
+ * @memberof! module:caf_components/containerUtils
+ * @alias RETRY_BACKOFF_SCHEMA
+ */
+exports.RETRY_BACKOFF_SCHEMA = {
+    type: 'object',
+    required: ['strategy'],
+    properties: {
+        strategy: {
+            type: 'string',
+            enum: ['constant', 'linear', 'exponential']
+        },
+        factor: {type: 'number'},
+        maxDelay: {type: 'number'},
+        jitter: {type: 'string', enum: ['none', 'full', 'decorrelated']}
+    }
+};
+
+/**
+ * Returns the delay between retries for a container.
+ *
+ * The base delay is always `env.retryDelay`, and an optional
+ * `env.retryBackoff` changes it with a backoff policy, see
+ * {@link module:caf_components/myUtils}.
+ *
+ * @param {Object} env The `env` properties of a container.
+ * @return {number|backoffType} A delay in msec or a backoff policy.
+ *
+ * @memberof! module:caf_components/containerUtils
+ * @alias retryPolicy
+ */
+exports.retryPolicy = function(env) {
+    return env.retryBackoff ?
+        myUtils.cloneAndMixin(env.retryBackoff, {delay: env.retryDelay},
+                              false) :
+        env.retryDelay;
+};
+
+/**
+ * Default time window in msec to count restarts when `maxRestarts` is set.
+ *
+ * @type {number}
+ *
+ * @memberof! module:caf_components/containerUtils
+ * @alias DEFAULT_RESTART_PERIOD
+ */
+const DEFAULT_RESTART_PERIOD = exports.DEFAULT_RESTART_PERIOD = 5000;
+
 /**
  * Constructor of utils object.
  *
+ * Restart intensity is similar to Erlang/OTP: if more than `maxRestarts`
+ * restarts happen within `restartPeriod` msec, we give up, propagating an
+ * error to the parent. The restarts that create the initial children are not
+ * counted.
+ *
  * @param {Object} that Target container object.
  * @param {number} maxRetries Number of retries before giving up.
- * @param {number} retryDelay Delay in msec before retrying.
+ * @param {number|backoffType} retryDelay Delay in msec before retrying, or a
+ * backoff policy.
+ * @param {number=} maxRestarts Optional max number of restarts within
+ * `restartPeriod`. No limit if missing.
+ * @param {number=} restartPeriod Optional time window in msec to count
+ * restarts. It defaults to `DEFAULT_RESTART_PERIOD`.
  */
-exports.utils = function(that, maxRetries, retryDelay) {
+exports.utils = function(that, maxRetries, retryDelay, maxRestarts,
+                         restartPeriod) {
 
     const result = {};
 
+    restartPeriod = (typeof restartPeriod === 'number') ?
+        restartPeriod :
+        DEFAULT_RESTART_PERIOD;
+
+    var restarts = []; // Timestamps of recent restarts
+
+    var isStarted = false;
+
+    var listeners = [];
+
+    /*
+     * Health info of children, i.e., `lastCheckup`, `checkupDuration`,
+     * `lastError`, `restarts`, and `restarting`, indexed by child name.
+     */
+    const stats = {};
+
+    const getStats = function(childName) {
+        stats[childName] = stats[childName] || {
+            restarts: 0,
+            created: false,
+            restarting: false
+        };
+        return stats[childName];
+    };
+
+    const errorMessage = function(err) {
+        return (err && err.message) || String(err);
+    };
+
     const METHODS_INPUT_TYPE = {
         checkChild: 'string',
         checkAndRestartChild: 'object',
@@ -46,6 +259,185 @@ exports.utils = function(that, maxRetries, retryDelay) {
         createChild: 'object'
     };
 
+    /*
+     * Delivers an event to all the listeners. A failing listener cannot
+     * affect the container.
+     */
+    const deliver = function(event) {
+        listeners.slice(0).forEach(function(f) {
+            try {
+                f(event);
+            } catch (err) {
+                that.$._.$.log &&
+                    that.$._.$.log.warn('Ignoring listener error ' +
+                                        myUtils.errToPrettyStr(err));
+            }
+        });
+    };
+
+    /**
+     * Registers a listener for lifecycle events.
+     *
+     * @param {function(lifecycleEventType):void} listener A function called
+     * synchronously with each event.
+     *
+     * @memberof! module:caf_components/containerUtils#
+     * @alias subscribe
+     */
+    result.subscribe = function(listener) {
+        assert.equal(typeof(listener), 'function',
+                     "'listener' is not a function");
+        listeners.push(listener);
+    };
+
+    /**
+     * Unregisters a listener for lifecycle events.
+     *
+     * @param {function(lifecycleEventType):void} listener A registered
+     * listener.
+     *
+     * @memberof! module:caf_components/containerUtils#
+     * @alias unsubscribe
+     */
+    result.unsubscribe = function(listener) {
+        listeners = listeners.filter(function(x) { return x !== listener;});
+    };
+
+    /**
+     * Emits a lifecycle event.
+     *
+     * @param {string} type The type of event, see `EVENTS`.
+     * @param {Object=} props Optional extra properties of the event, e.g.,
+     * `child` or `error`.
+     *
+     * @memberof! module:caf_components/containerUtils#
+     * @alias emit
+     */
+    result.emit = function(type, props) {
+        const event = {
+            type: type,
+            container: that.__ca_getSpec__().name,
+            time: Date.now()
+        };
+        deliver(myUtils.mixin(event, props || {}, true));
+    };
+
+    /**
+     * Marks the initial children as created, and from now on, restarts
+     * count towards the restart intensity limit.
+     *
+     * @memberof! module:caf_components/containerUtils#
+     * @alias markStarted
+     */
+    result.markStarted = function() {
+        isStarted = true;
+    };
+
+    /**
+     * Records a restart, checking that we have not exceeded the restart
+     * intensity limit.
+     *
+     * @param {Array.<string>} names The names of the children to restart.
+     * @return {Error|null} An error if there were too many restarts, and the
+     * container should give up, or `null` otherwise.
+     *
+     * @memberof! module:caf_components/containerUtils#
+     * @alias registerRestart
+     */
+    result.registerRestart = function(names) {
+        if (!isStarted || (typeof maxRestarts !== 'number')) {
+            return null;
+        }
+        const now = Date.now();
+        restarts = restarts.filter(function(x) {
+            return (now - x) < restartPeriod;
+        });
+        if (restarts.length >= maxRestarts) {
+            const err = new Error('Restart intensity exceeded in ' +
+                                  that.__ca_getSpec__().name);
+            err['children'] = names;
+            err['maxRestarts'] = maxRestarts;
+            err['restartPeriod'] = restartPeriod;
+            return err;
+        } else {
+            restarts.push(now);
+            return null;
+        }
+    };
+
+    /**
+     * Returns a snapshot of the health of a child.
+     *
+     * @param {string} childName The name of the child.
+     * @param {specType=} childSpec An optional description of the child, to
+     * report its module when it is missing.
+     * @return {healthType} The health of the child.
+     *
+     * @memberof! module:caf_components/containerUtils#
+     * @alias childHealth
+     */
+    result.childHealth = function(childName, childSpec) {
+        const child = that.$[childName];
+        const st = getStats(childName);
+        const health = (child && child.__ca_getHealth__) ?
+            child.__ca_getHealth__() :
+            {
+                name: childName,
+                module: childSpec ? childSpec.module : null,
+                status: 'shutdown'
+            };
+        if (st.restarting) {
+            health.status = 'restarting';
+        }
+        health.restarts = st.restarts;
+        if (st.lastCheckup) {
+            health.lastCheckup = st.lastCheckup;
+            health.checkupDuration = st.checkupDuration;
+        }
+        if (st.lastError) {
+            health.lastError = st.lastError;
+        }
+        return health;
+    };
+
+    /**
+     * Forgets the health info of a deleted child.
+     *
+     * @param {string} childName The name of the child.
+     *
+     * @memberof! module:caf_components/containerUtils#
+     * @alias forgetChild
+     */
+    result.forgetChild = function(childName) {
+        delete stats[childName];
+    };
+
+    /**
+     * Returns the health of this container, given the health of its children.
+     *
+     * @param {Array.<healthType>} children The health of the children.
+     * @return {healthType} The health of this container.
+     *
+     * @memberof! module:caf_components/containerUtils#
+     * @alias aggregateHealth
+     */
+    result.aggregateHealth = function(children) {
+        const health = {
+            name: that.__ca_getSpec__().name,
+            module: that.__ca_getSpec__().module,
+            status: 'healthy',
+            components: children
+        };
+        if (that.__ca_isShutdown__) {
+            health.status = 'shutdown';
+        } else if (children.some(function(x) {
+            return x.status !== 'healthy';
+        })) {
+            health.status = 'degraded';
+        }
+        return health;
+    };
+
     /**
      *  Returns a function that checks a child status.
      *
@@ -63,13 +455,30 @@ exports.utils = function(that, maxRetries, retryDelay) {
     result.checkChild = function(data) {
         return function(childName, cb) {
             const child = that.$[childName];
+            const st = getStats(childName);
             if (child) {
                 const f = myUtils.wrapAsyncFunction(child.__ca_checkup__,
                                                     child);
-                f(data, cb);
+                const checkF = myUtils.wrapWithTimeout(function(cb0) {
+                    f(data, cb0);
+                }, getTimeout(child.__ca_getSpec__(), 'checkup'));
+                const start = Date.now();
+                checkF(function(err, res) {
+                    if (err && err['timeout'] && !err['component']) {
+                        err['component'] = childName;
+                        err['op'] = 'checkup';
+                    }
+                    st.lastCheckup = start;
+                    st.checkupDuration = Date.now() - start;
+                    if (err) {
+                        st.lastError = errorMessage(err);
+                    }
+                    cb(err, res);
+                });
             } else {
                 const err = new Error('checkChild: missing child');
                 err.name = childName;
+                st.lastError = errorMessage(err);
                 cb(err);
             }
         };
@@ -104,16 +513,29 @@ exports.utils = function(that, maxRetries, retryDelay) {
                                                  myUtils.errToPrettyStr(err));
                         cb(null, res);
                     } else {
+                        result.emit(EVENTS.CHECKUP_FAILED, {
+                            child: childSpec.name,
+                            error: err
+                        });
                         if (data && data.doNotRestart) {
                             const logMsg = 'doNotRestart=true passes error' +
                                     myUtils.errToPrettyStr(err);
-                            that.$_.$.log && that.$._.$.log.trace(logMsg);
+                            that.$._.$.log && that.$._.$.log.trace(logMsg);
                             cb(err);
                         } else {
-                            const logMsg = 'Creating  child ' +
-                                myUtils.errToPrettyStr(err);
-                            that.$._.$.log && that.$._.$.log.trace(logMsg);
-                            result.createChild(data, doRetry)(childSpec, cb);
+                            const errRestart = result.registerRestart(
+                                [childSpec.name]
+                            );
+                            if (errRestart) {
+                                cb(errRestart);
+                            } else {
+                                const logMsg = 'Creating  child ' +
+                                      myUtils.errToPrettyStr(err);
+                                that.$._.$.log &&
+                                    that.$._.$.log.trace(logMsg);
+                                result.createChild(data, doRetry)(childSpec,
+                                                                  cb);
+                            }
                         }
                     }
                 } else {
@@ -151,7 +573,32 @@ exports.utils = function(that, maxRetries, retryDelay) {
                                              that.__ca_getSpec__().name);
                     const f = myUtils.wrapAsyncFunction(child.__ca_shutdown__,
                                                         child);
-                    f(data, cb0);
+                    const shutF = myUtils.wrapWithTimeout(function(cb1) {
+                        f(data, cb1);
+                    }, getTimeout(child.__ca_getSpec__(), 'shutdown'));
+                    shutF(function(err, res) {
+                        if (err && err['timeout']) {
+                            /* An explicit shutdown timeout allows us to
+                             * restart a stuck child, even though it may still
+                             * be running.
+                             */
+                            that.$._.$.log &&
+                                that.$._.$.log.warn('Timeout shutting down ' +
+                                                    childName + ', ' +
+                                                    'abandoned but it may ' +
+                                                    'still be running');
+                            if (that.$[childName] === child) {
+                                delete that.$[childName];
+                            }
+                            result.emit(EVENTS.CHILD_ABANDONED, {
+                                child: childName,
+                                error: err
+                            });
+                            cb0(null);
+                        } else {
+                            cb0(err, res);
+                        }
+                    });
                 } else {
                     // previous shutdown eventually finished
                     cb0(null);
@@ -198,16 +645,41 @@ exports.utils = function(that, maxRetries, retryDelay) {
                         cb0(err, res);
                     } else {
                         const cb1 = function(err) {
+                            if (!err && res.comp.__ca_subscribe__) {
+                                // forward events from child containers
+                                res.comp.__ca_subscribe__(deliver);
+                            }
                             cb0(err, res.comp);
                         };
                         const f = myUtils.wrapAsyncFunction(
                             res.comp.__ca_checkup__, res.comp
                         );
-                        f(data, cb1);
+                        myUtils.wrapWithTimeout(function(cb2) {
+                            f(data, cb2);
+                        }, getTimeout(childSpec, 'checkup'))(cb1);
                     }
                 });
             };
-            myUtils.retryWithDelay(f, retries, retryDelay, cb);
+            const st = getStats(childSpec.name);
+            if (st.created) {
+                st.restarts = st.restarts + 1;
+            }
+            st.restarting = true;
+            result.emit(EVENTS.CHILD_CREATING, {child: childSpec.name});
+            myUtils.retryWithDelay(f, retries, retryDelay, function(err, res) {
+                st.restarting = false;
+                if (err) {
+                    st.lastError = errorMessage(err);
+                    result.emit(EVENTS.CHILD_FAILED, {
+                        child: childSpec.name,
+                        error: err
+                    });
+                } else {
+                    st.created = true;
+                    result.emit(EVENTS.CHILD_CREATED, {child: childSpec.name});
+                }
+                cb(err, res);
+            });
         };
     };
 
@@ -263,6 +735,63 @@ exports.utils = function(that, maxRetries, retryDelay) {
         };
     };
 
+    /**
+     * Returns a function that creates a collection of children, respecting
+     * their `dependsOn` lists.
+     *
+     * A child is created after all its dependencies, and independent children
+     * are created concurrently.
+     *
+     * After the first error, pending children are not created, but it waits
+     * for the ones in progress before calling back. This way, they are
+     * registered before the container reacts to the error, e.g., shutting
+     * down all its children.
+     *
+     * @param {Array.<specType>} childrenSpec A description of the children.
+     * Dependencies should have been checked with `sortChildren`.
+     * @param {Object=}  data Optional meta-data for methods, or to return
+     * info.
+     * @param {boolean=} doRetry True if it should retry creation, otherwise
+     * no retry.
+     *
+     * @return {function(cbType)} A function of type `function(cbType)` that
+     *  will asyncronously create the children, and finally
+     * invokes the callback with the results or an error.
+     *
+     * @memberof! module:caf_components/containerUtils#
+     * @alias createWithDependencies
+     */
+    result.createWithDependencies = function(childrenSpec, data, doRetry) {
+        return function(cb) {
+            const f = result.createChild(data, doRetry);
+            /** @type {Error|null} */
+            var firstError = null;
+            /** @type {Object<string, Array<any>>} */
+            const tasks = {};
+            childrenSpec.forEach(function(x) {
+                const fImmediate = function(cb0) {
+                    timers.setImmediate(function() {
+                        if (firstError) {
+                            cb0(null); // do not create after an error
+                        } else {
+                            f(x, function(err, res) {
+                                firstError = firstError || err;
+                                cb0(null, res);
+                            });
+                        }
+                    });
+                };
+                /** @type {Array<any>} */
+                const task = myUtils.clone(x.dependsOn || []);
+                task.push(fImmediate);
+                tasks[x.name] = task;
+            });
+            async.auto(tasks, function(err, res) {
+                cb(firstError || err, res);
+            });
+        };
+    };
+
     /**
      * Enforces a shutdown invariant for a function.
      *
@@ -115,6 +115,51 @@ exports.create = function($, spec) {
         return spec;
     };
 
+    /**
+     * Gets configuration data for this component, with registered secrets
+     * redacted, e.g., to log it or serve it.
+     *
+     * See {@link module:caf_components/myUtils.registerSecret}.
+     *
+     * @return {specType} Read-only configuration data for this
+     * component, without secrets.
+     *
+     * @memberof! module:caf_components/gen_component
+     * @alias __ca_getRedactedSpec__
+     */
+    that.__ca_getRedactedSpec__ = function() {
+        return myUtils.redact(spec);
+    };
+
+
+    /**
+     * Returns a snapshot of the health of this component.
+     *
+     * The type `healthType` is:
+     *
+     *     {name: string, module: string, status: string,
+     *      lastCheckup=: number, checkupDuration=: number, lastError=: string,
+     *      restarts=: number, components=: Array.<healthType>}
+     *
+     * where `status` is one of `healthy`, `degraded` (some descendant is not
+     * healthy), `restarting` or `shutdown`.
+     *
+     * Checkup times, errors and restarts are tracked by the parent container,
+     * and containers aggregate the health of their children in
+     * `components`.
+     *
+     * @return {healthType} The health of this component.
+     *
+     * @memberof! module:caf_components/gen_component
+     * @alias __ca_getHealth__
+     */
+    that.__ca_getHealth__ = function() {
+        return {
+            name: spec.name,
+            module: spec.module,
+            status: that.__ca_isShutdown__ ? 'shutdown' : 'healthy'
+        };
+    };
 
     /**
      *  Checks the health of this component.
@@ -179,6 +224,12 @@ exports.create = function($, spec) {
         if ($ && ($[spec.name] === that)) {
             delete $[spec.name];
         }
+        // top level if `$._` is missing, see `gen_container`
+        if ($ && (!$._ || ($._ === that)) && $.$ && $.$.loader &&
+            (typeof that.__ca_getChildrenSpec__ !== 'function')) {
+            // secrets of this hierarchy, containers wait for their children
+            myUtils.clearSecrets($.$.loader);
+        }
         cb(null);
     });
 
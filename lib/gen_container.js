@@ -24,17 +24,47 @@ limitations under the License.
  *  actions as needed. Unknown children are shutdown without triggering
  * a recovery strategy.
  *
- * We use a supervisor strategy similar to Erlang/OTP `one-for-all`: If a
- * child is missing or shutdown,  we will shutdown all the remaining
- * children first, and then restart them all. Recovery actions order is based
- * on description order, to ensure that dependent services will also recover.
+ * By default, we use a supervisor strategy similar to Erlang/OTP
+ * `one-for-all`: If a child is missing or shutdown,  we will shutdown all the
+ * remaining children first, and then restart them all. Recovery actions order
+ * is based on description order, to ensure that dependent services will also
+ * recover.
+ *
+ * The optional property `strategy` changes this behavior:
+ *
+ *   - `one_for_all`: the default, as described above.
+ *   - `one_for_one`: only restart the failing child.
+ *   - `rest_for_one`: restart the failing child and all the children after it,
+ *  shutting them down in reverse order first.
+ *
+ * Alternatively, children can declare explicit dependencies on their siblings
+ * with an optional `dependsOn` list of names in their description. If any
+ * child does, a child is created after its dependencies, independent children
+ * are created concurrently, and shutdown follows the reverse order.
+ * Missing or cyclic dependencies are detected when the container is created.
  *
  *  The following required properties specify recovery behavior:
  *
  *         { maxRetries: number, retryDelay: number}
  *
  *  where `maxRetries` is the number of attempts before giving up, and
- * `retryDelay` is the delay in msec between attempts.
+ * `retryDelay` is the delay in msec between attempts. An optional
+ * `retryBackoff` policy, e.g., `{strategy: 'exponential', maxDelay: 30000,
+ * jitter: 'full'}`, uses `retryDelay` as base delay to compute delays that
+ * change with each attempt (see {@link module:caf_components/myUtils}).
+ *
+ * Optional properties `maxRestarts` and `restartPeriod` limit restart
+ * intensity: if more than `maxRestarts` restarts happen within
+ * `restartPeriod` msec, the container gives up, shutting down and propagating
+ * the error to its parent. See {@link module:caf_components/containerUtils}.
+ *
+ * A running container can also change its children with
+ * `__ca_reconfigure__`, restarting only the ones with a different
+ * description.
+ *
+ * Containers emit lifecycle events, e.g., a child was created or a checkup
+ * failed, to listeners registered with `__ca_subscribe__`. See
+ * {@link module:caf_components/containerUtils} for the event types.
  *
  * We want to avoid split brain situations: two instances of the
  * same component assuming that they are unique, and, for example,
@@ -46,6 +76,11 @@ limitations under the License.
  * and trigger a process shutdown, relying on an external
  * recovery mechanism to restart the process.
  *
+ * The exception is an explicit shutdown timeout, i.e., `__ca_timeouts__`
+ * in the child's `env`. After that timeout the stuck child is abandoned,
+ * and a new one can be created while the old one may still be running.
+ * The container logs a warning, and emits a `childAbandoned` event.
+ *
  * Static containers are not adequate for managing CAs. CAs are mostly
  * independent from each other, and created dynamically. See
  * `gen_dynamic_container` for an alternative.
@@ -61,6 +96,31 @@ const async = require('async');
 const myUtils = require('./myUtils');
 const containerUtils = require('./containerUtils');
 const naming = require('./naming');
+const schemaUtils = require('./schemaUtils');
+
+/**
+ * Schema for the `env` properties of a container.
+ *
+ * @type {schemaType}
+ *
+ * @memberof! module:caf_components/gen_container
+ * @alias envSchema
+ */
+exports.envSchema = {
+    type: 'object',
+    required: ['maxRetries', 'retryDelay'],
+    properties: {
+        maxRetries: {type: 'number'},
+        retryDelay: {type: 'number'},
+        retryBackoff: containerUtils.RETRY_BACKOFF_SCHEMA,
+        maxRestarts: {type: 'number'},
+        restartPeriod: {type: 'number'},
+        strategy: {
+            type: 'string',
+            enum: ['one_for_all', 'one_for_one', 'rest_for_one']
+        }
+    }
+};
 
 /**
  * Helper constructor method for a container component.
@@ -77,13 +137,14 @@ exports.create = function($, spec) {
 
     const that = genComponent.create($, spec);
 
-    assert.equal(typeof(spec.env.maxRetries), 'number',
-                 "'spec.env.maxRetries' is not a number");
-    assert.equal(typeof(spec.env.retryDelay), 'number',
-                 "'spec.env.retryDelay' is not a number");
+    schemaUtils.assertEnv(exports.envSchema, spec);
 
     const cntUtils = containerUtils.utils(that, spec.env.maxRetries,
-                                          spec.env.retryDelay);
+                                          containerUtils.retryPolicy(spec.env),
+                                          spec.env.maxRestarts,
+                                          spec.env.restartPeriod);
+
+    const strategy = spec.env.strategy || 'one_for_all';
 
     /**
      * Run-time type information.
@@ -116,16 +177,6 @@ exports.create = function($, spec) {
     assert.equal(typeof($._.$), 'object',
                  "'$._' object has no context '$._.$'");
 
-    /*
-     * A description of the expected children.
-     *
-     * @type {Array.<specType>}
-     *
-     */
-    const childrenSpec = myUtils.clone(spec.components || []);
-
-    const childrenNames = childrenSpec.map(function(x) { return x.name;});
-
     const toObject = function(spec) {
         const result = {};
         spec.forEach(function(x) {
@@ -142,9 +193,55 @@ exports.create = function($, spec) {
         return result;
     };
 
+    /*
+     * A description of the expected children.
+     *
+     * It only changes with `__ca_reconfigure__`.
+     *
+     * @type {Array.<specType>}
+     *
+     */
+    var childrenSpec = [];
+
+    var childrenSpecObj = {};
+
+    var hasDependencies = false;
+
+    /*
+     * Expected children in creation order.
+     *
+     * @type {Array.<specType>}
+     */
+    var childrenOrder = [];
+
+    var childrenNames = [];
+
+    const setChildrenSpec = function(components) {
+        const newChildrenSpec = myUtils.clone(components || []);
+        const newChildrenSpecObj = toObject(newChildrenSpec);
+        const newChildrenOrder = containerUtils.sortChildren(newChildrenSpec);
+        childrenSpec = newChildrenSpec;
+        childrenSpecObj = newChildrenSpecObj;
+        hasDependencies = containerUtils.hasDependencies(childrenSpec);
+        childrenOrder = newChildrenOrder;
+        childrenNames = childrenOrder.map(function(x) { return x.name;});
+    };
+
+    setChildrenSpec(spec.components);
+
+    var reconfiguring = false;
 
-    const childrenSpecObj = toObject(childrenSpec);
+    var checkupsInProgress = 0;
 
+    var afterCheckups = []; // Waiting for checkups in progress
+
+    const whenNoCheckups = function(f) {
+        if (checkupsInProgress === 0) {
+            f();
+        } else {
+            afterCheckups.push(f);
+        }
+    };
 
     /**
      * Gets a description of the expected children.
@@ -156,9 +253,69 @@ exports.create = function($, spec) {
      *
      */
     that.__ca_getChildrenSpec__ = function() {
-        return myUtils.clone(childrenSpec); //static container, no spec changes!
+        return myUtils.clone(childrenSpec);
     };
 
+    /**
+     * Registers a listener for lifecycle events of this container and its
+     * descendants.
+     *
+     * See {@link module:caf_components/containerUtils} for the event types.
+     *
+     * @param {function(lifecycleEventType):void} listener A function called
+     * synchronously with each event.
+     *
+     * @memberof! module:caf_components/gen_container#
+     * @alias __ca_subscribe__
+     */
+    that.__ca_subscribe__ = function(listener) {
+        cntUtils.subscribe(listener);
+    };
+
+    /**
+     * Unregisters a listener for lifecycle events.
+     *
+     * @param {function(lifecycleEventType):void} listener A registered
+     * listener.
+     *
+     * @memberof! module:caf_components/gen_container#
+     * @alias __ca_unsubscribe__
+     */
+    that.__ca_unsubscribe__ = function(listener) {
+        cntUtils.unsubscribe(listener);
+    };
+
+    /**
+     * Emits a lifecycle event to the listeners of this container.
+     *
+     * Used by specialized containers, e.g., a supervisor, to emit their own
+     * events.
+     *
+     * @param {string} type The type of event.
+     * @param {Object=} props Optional extra properties of the event.
+     *
+     * @memberof! module:caf_components/gen_container#
+     * @alias __ca_emit__
+     */
+    that.__ca_emit__ = function(type, props) {
+        cntUtils.emit(type, props);
+    };
+
+    /**
+     * Returns a snapshot of the health of this container and its children.
+     *
+     * The container is `degraded` if some child is not healthy.
+     *
+     * @return {healthType} The health of this container.
+     *
+     * @memberof! module:caf_components/gen_container#
+     * @alias __ca_getHealth__
+     */
+    that.__ca_getHealth__ = function() {
+        return cntUtils.aggregateHealth(childrenOrder.map(function(x) {
+            return cntUtils.childHealth(x.name, x);
+        }));
+    };
 
     /*
      *  Filter current children based on whether they are expected.
@@ -171,7 +328,7 @@ exports.create = function($, spec) {
      */
     const selectChildren = function(known) {
         if (known) {
-            return childrenSpec
+            return childrenOrder
                 .filter(function(x) {
                     return (that.$[x.name] !== undefined);
                 })
@@ -191,13 +348,74 @@ exports.create = function($, spec) {
 
     const known = function() { return selectChildren(true);};
 
+    const createAll = function(data) {
+        return hasDependencies ?
+            cntUtils.createWithDependencies(childrenOrder, data, true) :
+            cntUtils.many('createChild', childrenOrder, data, true);
+    };
+
     const restartAll = function(data, cb) {
         async.series([
             cntUtils.many('shutdownChild', known().reverse(), data),
-            cntUtils.many('createChild', childrenSpec, data, true)
+            createAll(data)
         ], cb);
     };
 
+    /*
+     * Restarts a child and all the children after it.
+     *
+     * @param {number} index The position of the failing child in
+     * `childrenOrder`.
+     * @param {Object} data A hint on how to restart.
+     * @param {cbType} cb A callback to propagate a restart error/success.
+     */
+    const restartRest = function(index, data, cb) {
+        const rest = childrenOrder.slice(index);
+        const restNames = {};
+        rest.forEach(function(x) { restNames[x.name] = true;});
+        const running = known().filter(function(x) { return restNames[x];});
+        async.series([
+            cntUtils.many('shutdownChild', running.reverse(), data),
+            cntUtils.many('createChild', rest, data, true)
+        ], cb);
+    };
+
+    /*
+     * Checks children in order, stopping at the first failure.
+     *
+     * @param {Object} data A hint on how to perform the checkup.
+     * @param {function(Error?, number=):void} cb A callback to propagate
+     * the first error, and the position in `childrenOrder` of the failing
+     * child.
+     */
+    const checkInOrder = function(data, cb) {
+        const check = cntUtils.checkChild(data);
+        var index = 0;
+        async.whilst(
+            function() { return index < childrenNames.length; },
+            function(cb0) {
+                // avoid stack overflow, and give priority to I/O ops
+                async.setImmediate(function() {
+                    check(childrenNames[index], function(err) {
+                        if (err) {
+                            cb0(err);
+                        } else {
+                            index = index + 1;
+                            cb0(null);
+                        }
+                    });
+                });
+            },
+            function(err) {
+                if (err) {
+                    cb(err, index);
+                } else {
+                    cb(null);
+                }
+            }
+        );
+    };
+
     /*
      * Reconciliates the current children state with the expected one.
      *
@@ -205,15 +423,25 @@ exports.create = function($, spec) {
      * @param {Object} data A hint on how to perform the checkup. If
      * `data.doNotRestart` is true, we do not attempt recovery, propagating
      * an error in the callback instead. If an object is passed, the flag
-     * `restartAll` will be set to true when the children are restarted.
+     * `restartAll` will be set to true when all the children are restarted.
      * @param {cbType} cb A callback to propagate a checkup error/success.
      */
     const checkupChildren = function(data, cb) {
+        if (reconfiguring) {
+            // `__ca_reconfigure__` will reconciliate children
+            cb(null);
+            return;
+        }
+        checkupsInProgress = checkupsInProgress + 1;
         async.series([
             cntUtils.many('shutdownChild', unknown(), data),
             function (cb1) {
-                const cb2 = function(err, res) {
+                const cb2 = function(err, index) {
                     if (err) {
+                        cntUtils.emit(containerUtils.EVENTS.CHECKUP_FAILED, {
+                            child: childrenNames[index],
+                            error: err
+                        });
                         if (data && data.doNotRestart) {
                             const logMsg = 'Cannot restart children in ' +
                                       spec.name + ' got error ' +
@@ -221,24 +449,290 @@ exports.create = function($, spec) {
                             $._.$.log && $._.$.log.trace(logMsg);
                             cb1(err);
                         } else {
-                            const logMsg = 'Restarting children in ' +
-                                      spec.name + ' due to error ' +
+                            const names = (strategy === 'rest_for_one') ?
+                                childrenNames.slice(index) :
+                                childrenNames;
+                            const errRestart = cntUtils.registerRestart(names);
+                            if (errRestart) {
+                                $._.$.log && $._.$.log.debug(
+                                    myUtils.errToPrettyStr(errRestart)
+                                );
+                                cb1(errRestart);
+                                return;
+                            }
+                            const logMsg = 'Restarting children (' +
+                                      strategy + ') in ' + spec.name +
+                                      ' due to error ' +
                                       myUtils.errToPrettyStr(err);
                             $._.$.log && $._.$.log.trace(logMsg);
-                            if (data && typeof data === 'object') {
-                                data.restartAll = true;
+                            if (strategy === 'rest_for_one') {
+                                restartRest(index, data, cb1);
+                            } else {
+                                if (data && typeof data === 'object') {
+                                    data.restartAll = true;
+                                }
+                                cntUtils.emit(
+                                    containerUtils.EVENTS.RESTART_ALL,
+                                    {children: childrenNames}
+                                );
+                                restartAll(data, cb1);
                             }
-                            restartAll(data, cb1);
                         }
                     } else {
-                        cb1(err, res);
+                        cb1(null);
                     }
                 };
-                cntUtils.many('checkChild', childrenNames, data)(cb2);
+                if (strategy === 'one_for_one') {
+                    cntUtils.many('checkAndRestartChild', childrenOrder, data,
+                                  true)(cb1);
+                } else {
+                    checkInOrder(data, cb2);
+                }
             }
-        ], cb);
+        ], function(err) {
+            err || cntUtils.markStarted();
+            checkupsInProgress = checkupsInProgress - 1;
+            if (checkupsInProgress === 0) {
+                const all = afterCheckups;
+                afterCheckups = [];
+                all.forEach(function(f) { f();});
+            }
+            cb(err);
+        });
+    };
+
+
+    /*
+     * Whether a child has to be restarted to apply a new description.
+     */
+    const needsRestart = function(oldSpec, newSpec) {
+        return (oldSpec.module !== newSpec.module) ||
+            !myUtils.deepStrictEqual(oldSpec.env, newSpec.env) ||
+            !myUtils.deepStrictEqual(oldSpec.dependsOn || [],
+                                     newSpec.dependsOn || []);
+    };
+
+    /*
+     * Applies a new description to the children, see `__ca_reconfigure__`.
+     */
+    const reconfigureChildren = function(data, newSpec, cb) {
+        try {
+            const oldSpecObj = childrenSpecObj;
+            const oldRunning = known();
+            const changes = {
+                added: [], removed: [], restarted: [], reconfigured: []
+            };
+            const nested = [];
+            const toCreate = {};
+            const toShutdown = {};
+            const newSpecObj = toObject(newSpec.components || []);
+            Object.keys(oldSpecObj).forEach(function(x) {
+                if (!newSpecObj[x]) {
+                    changes.removed.push(x);
+                    toShutdown[x] = true;
+                }
+            });
+            (newSpec.components || []).forEach(function(x) {
+                const old = oldSpecObj[x.name];
+                const child = that.$[x.name];
+                if (!old) {
+                    changes.added.push(x.name);
+                    toCreate[x.name] = true;
+                } else if (needsRestart(old, x) ||
+                           (!myUtils.deepStrictEqual(old.components || [],
+                                                     x.components || []) &&
+                            !(child && child.__ca_reconfigure__))) {
+                    changes.restarted.push(x.name);
+                    toShutdown[x.name] = true;
+                    toCreate[x.name] = true;
+                } else if (!myUtils.deepStrictEqual(old.components || [],
+                                                    x.components || [])) {
+                    nested.push(x.name);
+                }
+            });
+
+            setChildrenSpec(newSpec.components);
+            spec.components = myUtils.clone(childrenSpec);
+
+            const addNested = function(name, res) {
+                changes.reconfigured.push(name);
+                Object.keys(changes).forEach(function(k) {
+                    (res[k] || []).forEach(function(x) {
+                        changes[k].push(name + '/' + x);
+                    });
+                });
+            };
+
+            const reconfigureChild = function(name, cb0) {
+                const child = that.$[name];
+                if (child) {
+                    child.__ca_reconfigure__(data, childrenSpecObj[name],
+                                             function(err, res) {
+                                                 err || addNested(name, res);
+                                                 cb0(err);
+                                             });
+                } else {
+                    // missing child, e.g., a failed checkup
+                    changes.restarted.push(name);
+                    cntUtils.createChild(data, true)(childrenSpecObj[name],
+                                                     cb0);
+                }
+            };
+
+            async.series([
+                cntUtils.many('shutdownChild', oldRunning.filter(function(x) {
+                    return toShutdown[x];
+                }).reverse(), data),
+                function(cb0) {
+                    async.eachSeries(nested, reconfigureChild, cb0);
+                },
+                cntUtils.many('createChild', childrenOrder.filter(function(x) {
+                    return toCreate[x.name];
+                }), data, true)
+            ], function(err) {
+                reconfiguring = false;
+                if (err) {
+                    $._.$.log && $._.$.log.debug('Error reconfiguring ' +
+                                                 spec.name + ': ' +
+                                                 myUtils.errToPrettyStr(err));
+                    cb(err);
+                } else {
+                    cntUtils.emit(containerUtils.EVENTS.RECONFIGURED,
+                                  {changes: changes});
+                    cb(null, changes);
+                }
+            });
+        } catch (err) {
+            reconfiguring = false;
+            cb(err);
+        }
     };
 
+    /**
+     * Reconfigures this container with a new description, without
+     * restarting unaffected children.
+     *
+     * It compares the new children descriptions with the current ones:
+     *
+     *  - Removed children are shutdown.
+     *  - Children with a different `module`, `env`, or `dependsOn` are
+     * restarted.
+     *  - Children that only changed their `components` are reconfigured
+     * recursively, if they are containers, or restarted otherwise.
+     *  - Added children are created.
+     *
+     * Shutdown is in reverse order, and creation in the new creation order.
+     *
+     * The `name`, `module`, and `env` of this container cannot change, a
+     * parent should restart it instead.
+     *
+     * Checkups are suspended during reconfiguration, and it waits for
+     * checkups in progress before starting. If it fails, later
+     * checkups will restart the missing children using the new
+     * description.
+     *
+     * @param {Object} data An optional hint on how to reconfigure.
+     * @param {specType} newSpec A new fully resolved description for this
+     * container.
+     * @param {cbType=} cb A callback to return an error, or the changes of
+     * type `reconfigureChangesType`, i.e., `{added: Array.<string>,
+     * removed: Array.<string>, restarted: Array.<string>, reconfigured:
+     * Array.<string>}` with the paths of the affected descendants, e.g.,
+     * `h2/h21`. If missing, it returns a promise with the equivalent array
+     * tuple `[err, data]`.
+     *
+     * @return {Promise.<Array.<Object>>=} An optional promise that resolves to
+     * an array tuple `[err, data]` when the callback is missing.
+     *
+     * @function
+     * @memberof! module:caf_components/gen_container#
+     * @alias __ca_reconfigure__
+     */
+    that.__ca_reconfigure__ = myUtils.condPromisify(function(data, newSpec,
+                                                             cb) {
+        try {
+            assert.equal(typeof(newSpec), 'object',
+                         "'newSpec' is not an object");
+            if (that.__ca_isShutdown__ || reconfiguring) {
+                const err = new Error('Cannot reconfigure ' + spec.name +
+                                      (reconfiguring ?
+                                          ', already reconfiguring' :
+                                          ', already shutdown'));
+                err.name = spec.name;
+                cb(err);
+                return;
+            }
+            if ((newSpec.name !== spec.name) ||
+                (newSpec.module !== spec.module) ||
+                !myUtils.deepStrictEqual(newSpec.env, spec.env)) {
+                const err = new Error('Cannot reconfigure ' + spec.name +
+                                      ', restart required');
+                err.name = spec.name;
+                err['restartRequired'] = true;
+                cb(err);
+                return;
+            }
+            $._.$.loader.__ca_validateDescription__(newSpec);
+            reconfiguring = true;
+            // wait for checkups in progress, new ones are skipped
+            whenNoCheckups(function() {
+                reconfigureChildren(data, newSpec, cb);
+            });
+        } catch (err) {
+            reconfiguring = false;
+            cb(err);
+        }
+    });
+
+    /**
+     * Restarts a child, e.g., to use a new implementation after
+     * invalidating the old one with the loader's `__ca_invalidate__`.
+     *
+     * The child is shutdown, and created again with its current description.
+     * Other children are not restarted, even if they depend on it.
+     *
+     * As with `__ca_reconfigure__`, it waits for checkups in progress, and
+     * new checkups are skipped until the child is created, i.e., they
+     * never create a second instance of a missing child.
+     *
+     * @param {Object} data An optional hint on how to restart.
+     * @param {string} name The name of the child.
+     * @param {cbType=} cb A callback to return an error, or the new child. If
+     * missing, it returns a promise with the equivalent array tuple
+     * `[err, data]`.
+     *
+     * @return {Promise.<Array.<Object>>=} An optional promise that resolves to
+     * an array tuple `[err, data]` when the callback is missing.
+     *
+     * @function
+     * @memberof! module:caf_components/gen_container#
+     * @alias __ca_restartChild__
+     */
+    that.__ca_restartChild__ = myUtils.condPromisify(function(data, name,
+                                                              cb) {
+        const childSpec = childrenSpecObj[name];
+        if (that.__ca_isShutdown__ || reconfiguring || !childSpec) {
+            const err = new Error('Cannot restart ' + name + ' in ' +
+                                  spec.name +
+                                  (!childSpec ? ', unknown child' :
+                                      (reconfiguring ?
+                                          ', already reconfiguring' :
+                                          ', already shutdown')));
+            err.name = name;
+            cb(err);
+        } else {
+            $._.$.log && $._.$.log.debug('Restarting child ' + name + ' in ' +
+                                         spec.name);
+            reconfiguring = true;
+            whenNoCheckups(function() {
+                cntUtils.createChild(data, true)(childSpec,
+                                                 function(err, child) {
+                                                     reconfiguring = false;
+                                                     cb(err, child);
+                                                 });
+            });
+        }
+    });
 
     const super__ca_checkup__ = myUtils.superior(that, '__ca_checkup__');
     that.__ca_checkup__ = myUtils.condPromisify(function(data, cb) {
@@ -264,8 +758,13 @@ exports.create = function($, spec) {
         });
     });
 
+    var shutdownNotified = false;
+
     const super__ca_shutdown__ = myUtils.superior(that, '__ca_shutdown__');
     that.__ca_shutdown__ = myUtils.condPromisify(function(data, cb) {
+        const notify = !shutdownNotified;
+        shutdownNotified = true;
+        notify && cntUtils.emit(containerUtils.EVENTS.SHUTDOWN_STARTED);
         super__ca_shutdown__(data, function(err) {
             if (err) {
                 cb(err);
@@ -277,6 +776,14 @@ exports.create = function($, spec) {
                                   ' due to ' + myUtils.errToPrettyStr(err);
                         $._.$.log && $._.$.log.debug(msgLog);
                     }
+                    if (($._ === that) && $._.$ && $._.$.loader) {
+                        // secrets of this hierarchy, see `gen_loader`
+                        myUtils.clearSecrets($._.$.loader);
+                    }
+                    notify && cntUtils.emit(
+                        containerUtils.EVENTS.SHUTDOWN_COMPLETED,
+                        err ? {error: err} : {}
+                    );
                     cb(err);
                 });
             }
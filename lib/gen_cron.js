@@ -26,11 +26,27 @@ limitations under the License.
  *
  */
 // @ts-ignore: augments not attached to a class
-const assert= require('assert');
 const myUtils = require('./myUtils');
+const schemaUtils = require('./schemaUtils');
 
 const genComponent = require('./gen_component');
 
+/**
+ * Schema for the `env` properties of a cron.
+ *
+ * @type {schemaType}
+ *
+ * @memberof! module:caf_components/gen_cron
+ * @alias envSchema
+ */
+exports.envSchema = {
+    type: 'object',
+    required: ['interval'],
+    properties: {
+        interval: {type: 'number'}
+    }
+};
+
 /**
  * Helper constructor method for a cron component.
  *
@@ -48,8 +64,7 @@ exports.create = function($, spec) {
 
     const that = genComponent.create($, spec);
 
-    assert.equal(typeof(spec.env.interval), 'number',
-                 "'spec.env.interval' is not a number");
+    schemaUtils.assertEnv(exports.envSchema, spec);
 
     var intervalId = null;
 
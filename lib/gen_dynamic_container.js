@@ -36,7 +36,13 @@
  *         { maxRetries: number, retryDelay: number}
  *
  *  where `maxRetries` is the number of attempts before giving up, and
- * `retryDelay` is the delay in msec between attempts.
+ * `retryDelay` is the delay in msec between attempts. An optional
+ * `retryBackoff` policy, e.g., `{strategy: 'exponential', maxDelay: 30000,
+ * jitter: 'full'}`, uses `retryDelay` as base delay to compute delays that
+ * change with each attempt (see {@link module:caf_components/myUtils}).
+ *
+ * Optional properties `maxRestarts` and `restartPeriod` limit restart
+ * intensity, see {@link module:caf_components/gen_container}.
  *
  *
  * @module caf_components/gen_dynamic_container
@@ -51,6 +57,27 @@ const async = require('async');
 const myUtils = require('./myUtils');
 const containerUtils = require('./containerUtils');
 const naming = require('./naming');
+const schemaUtils = require('./schemaUtils');
+
+/**
+ * Schema for the `env` properties of a dynamic container.
+ *
+ * @type {schemaType}
+ *
+ * @memberof! module:caf_components/gen_dynamic_container
+ * @alias envSchema
+ */
+exports.envSchema = {
+    type: 'object',
+    required: ['maxRetries', 'retryDelay'],
+    properties: {
+        maxRetries: {type: 'number'},
+        retryDelay: {type: 'number'},
+        retryBackoff: containerUtils.RETRY_BACKOFF_SCHEMA,
+        maxRestarts: {type: 'number'},
+        restartPeriod: {type: 'number'}
+    }
+};
 
 /**
  * Helper constructor method for a dynamic container component.
@@ -67,13 +94,15 @@ exports.create = function($, spec) {
 
     const that = genComponent.create($, spec);
 
-    assert.equal(typeof(spec.env.maxRetries), 'number',
-                 "'spec.env.maxRetries' is not a number");
-    assert.equal(typeof(spec.env.retryDelay), 'number',
-                 "'spec.env.retryDelay' is not a number");
+    schemaUtils.assertEnv(exports.envSchema, spec);
 
     const cntUtils = containerUtils.utils(that, spec.env.maxRetries,
-                                          spec.env.retryDelay);
+                                          containerUtils.retryPolicy(spec.env),
+                                          spec.env.maxRestarts,
+                                          spec.env.restartPeriod);
+
+    // Children are created on demand, and any later restart counts.
+    cntUtils.markStarted();
 
     /**
      * Run-time type information.
@@ -125,6 +154,35 @@ exports.create = function($, spec) {
         return childrenSpecObj[name];
     };
 
+    /**
+     * Registers a listener for lifecycle events of this container and its
+     * descendants.
+     *
+     * See {@link module:caf_components/containerUtils} for the event types.
+     *
+     * @param {function(lifecycleEventType):void} listener A function called
+     * synchronously with each event.
+     *
+     * @memberof! module:caf_components/gen_dynamic_container#
+     * @alias __ca_subscribe__
+     */
+    that.__ca_subscribe__ = function(listener) {
+        cntUtils.subscribe(listener);
+    };
+
+    /**
+     * Unregisters a listener for lifecycle events.
+     *
+     * @param {function(lifecycleEventType):void} listener A registered
+     * listener.
+     *
+     * @memberof! module:caf_components/gen_dynamic_container#
+     * @alias __ca_unsubscribe__
+     */
+    that.__ca_unsubscribe__ = function(listener) {
+        cntUtils.unsubscribe(listener);
+    };
+
     /*
      *  Adds a new child component.
      *
@@ -139,6 +197,7 @@ exports.create = function($, spec) {
         const cb0 = function(err, resp) {
             if (err && childSpec.env.__ca_temporary__) {
                 delete childrenSpecObj[childSpec.name];
+                cntUtils.forgetChild(childSpec.name);
             }
             cb(err, resp);
         };
@@ -205,6 +264,7 @@ exports.create = function($, spec) {
     that.__ca_deleteChild__ = function(data, childName, cb) {
         if (childrenSpecObj[childName]) {
             delete childrenSpecObj[childName];
+            cntUtils.forgetChild(childName);
             cntUtils.shutdownChild(data, true)(childName, cb);
         } else {
             cb(null);
@@ -232,6 +292,24 @@ exports.create = function($, spec) {
         return known();
     };
 
+    /**
+     * Returns a snapshot of the health of this container and its children.
+     *
+     * The container is `degraded` if some child is not healthy.
+     *
+     * @return {healthType} The health of this container.
+     *
+     * @memberof! module:caf_components/gen_dynamic_container#
+     * @alias __ca_getHealth__
+     */
+    that.__ca_getHealth__ = function() {
+        return cntUtils.aggregateHealth(
+            Object.keys(childrenSpecObj).map(function(x) {
+                return cntUtils.childHealth(x, childrenSpecObj[x]);
+            })
+        );
+    };
+
     const unknown = function() {
         return Object.keys(that.$)
             .filter(function(x) {
@@ -282,8 +360,13 @@ exports.create = function($, spec) {
         });
     });
 
+    var shutdownNotified = false;
+
     const super__ca_shutdown__ = myUtils.superior(that, '__ca_shutdown__');
     that.__ca_shutdown__ = myUtils.condPromisify(function(data, cb) {
+        const notify = !shutdownNotified;
+        shutdownNotified = true;
+        notify && cntUtils.emit(containerUtils.EVENTS.SHUTDOWN_STARTED);
         super__ca_shutdown__(data, function(err) {
             if (err) {
                 cb(err);
@@ -296,6 +379,10 @@ exports.create = function($, spec) {
                                       myUtils.errToPrettyStr(err);
                             $._.$.log && $._.$.log.debug(msgLog);
                         }
+                        notify && cntUtils.emit(
+                            containerUtils.EVENTS.SHUTDOWN_COMPLETED,
+                            err ? {error: err} : {}
+                        );
                         cb(err);
                     }
                 );
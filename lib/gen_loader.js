@@ -22,7 +22,10 @@ limitations under the License.
  *
  * The strategy for finding these artifacts is straighforward. We configure a
  *  sequence of `module` objects, and we keep on calling the method
- * `require` in each of them until one returns it.
+ * `require` in each of them until one returns it. Instead of `module`
+ * objects, we can also use other resolvers, e.g., a list of directories,
+ * an in-memory map, or a configuration store, see
+ * {@link module:caf_components/resolvers}.
  *
  * If none succeeds, we default to the standard `require` that throws an
  * exception if not found.
@@ -39,23 +42,63 @@ limitations under the License.
  * directories of other packages, and packages should export their own `module`
  * to make them accessable.
  *
+ * Descriptions are parsed by file extension, i.e., `.json`, `.json5`, or
+ * `.yaml` (`.yml`), and deltas use the same extension, e.g.,
+ * `foo++.yaml` for `foo.yaml`. JSON5 and YAML allow comments. Other formats
+ * can be added with `__ca_registerParser__`. Parsing errors report the file
+ * and line.
+ *
  * A package can export many resources using the `#` qualifier. For example,
  * `caf_components#async` first resolves `caf_components` as above, and then
  * reads the property `async` on the resolved object.
  *
+ * Implementations published as ES modules, i.e., that cannot be loaded with
+ * `require`, fall back to a dynamic `import()` with the resolvers that
+ * support it. Importing is asynchronous, and `__ca_importComponent__` or
+ * `__ca_preloadComponents__` cache them, so that `__ca_resolveComponent__`
+ * can find them later. The `#` qualifier also applies to ES modules, looking
+ * into the `default` export when a named export is missing.
+ *
+ * A component implementation can also export a schema for its `env`
+ * properties in `envSchema`, see {@link module:caf_components/schemaUtils}.
+ * The loader validates a fully resolved description tree, collecting all the
+ * violations, before creating any component.
+ *
+ * A description can inherit from other descriptions with the top level
+ * property `extends`, i.e., a description name or an array of names, resolved
+ * with the same `module` objects. Parents are merged first, in order, and
+ * then the description itself is merged as a delta, e.g., to stack base,
+ * framework, team, and environment layers. A parent appearing twice is
+ * only merged once, and cycles are an error.
+ *
+ * Profiles, e.g., `prod` or `staging`, add overlay deltas to a description,
+ * i.e., `foo.prod++.json` for `foo.json`, merged after `foo++.json`. They are
+ * chosen with an option or, by default, with the environment property
+ * `CAF_PROFILE`, see {@link module:caf_components/naming}.
+ *
  *
  * @module caf_components/gen_loader
  * @augments module:caf_components/gen_component
  *
  */
 // @ts-ignore: augments not attached to a class
+const assert = require('assert');
 const path = require('path');
+const fs = require('fs');
 const genComponent = require('./gen_component');
 const myUtils = require('./myUtils');
+const resolverUtils = require('./resolvers');
 const templateUtils = require('./templateUtils');
+const naming = require('./naming');
+const schemaUtils = require('./schemaUtils');
+const containerUtils = require('./containerUtils');
 const async = require('async');
 const LOG_BEFORE_LOGGER = false; // To see errors before the logger component
 
+// `require` errors of modules that could be loaded with `import()`
+const ESM_ERRORS = ['ERR_REQUIRE_ESM', 'ERR_REQUIRE_ASYNC_MODULE',
+                    'ERR_PACKAGE_PATH_NOT_EXPORTED'];
+
 /**
  * Helper constructor method for a loader component.
  *
@@ -74,17 +117,139 @@ exports.create = function($, spec) {
 
     const that = genComponent.create($, spec);
 
-    var modules = [];
+    var resolvers = [];
+
+    // Fallback to the standard `require`, see `getDefaultResolver`
+    var defaultResolver = null;
 
     var cachedResources = {};
 
-    const moduleIndex = {}; // Successfully loaded artefacts (name->module)
+    // Successfully loaded artefacts (name->resolver)
+    const moduleIndex = {};
+
+    const esmModules = {}; // Imported ES modules (name->namespace)
+
+    const esmVersions = {}; // Invalidated ES modules (name->version)
 
     var staticArtifacts = {}; // Bypass `require` for these artifacts
 
+    var staticResolver = resolverUtils.staticResolver(staticArtifacts);
+
+    const layerIndex = {}; // Layer contributions (description name->record)
+
+    /*
+     * Parsers for description formats (extension->parser).
+     *
+     * @type {Object.<string, function(string, string):Object>}
+     */
+    const parsers = {
+        '.json': function(text) {
+            return JSON.parse(text);
+        },
+        '.json5': function(text) {
+            return require('json5').parse(text);
+        },
+        '.yaml': function(text, fileName) {
+            const yaml = require('js-yaml');
+            return (yaml.safeLoad || yaml.load)(text, {filename: fileName});
+        }
+    };
+    parsers['.yml'] = parsers['.yaml'];
+
+    /*
+     * Returns the parser for a description, or `null` if it is not a
+     * description.
+     */
+    const getParser = function(fileName) {
+        const ext = path.extname(fileName);
+        return Object.prototype.hasOwnProperty.call(parsers, ext) ?
+            parsers[ext] :
+            null;
+    };
+
+    /*
+     * Parses the contents of a description file.
+     *
+     * @throws {Error} A parsing error has properties `fileName`, `line`, and
+     * `column`, if known, starting at 1.
+     */
+    const parseText = function(text, fileName, parser) {
+        try {
+            return parser(text, fileName);
+        } catch (error) {
+            let line = error.lineNumber; // JSON5
+            let column = error.columnNumber;
+            if (error.mark && (typeof error.mark.line === 'number')) { // YAML
+                line = error.mark.line + 1;
+                column = error.mark.column + 1;
+            } else if (typeof error['line'] === 'number') {
+                line = error['line'];
+                column = error['column'];
+            }
+            const m = /at position (\d+)/.exec(error.message); // JSON
+            if ((line === undefined) && m) {
+                const before = text.substring(0, parseInt(m[1], 10));
+                line = before.split('\n').length;
+                column = before.length - before.lastIndexOf('\n');
+            }
+            const err = new Error('Loader: cannot parse ' + fileName +
+                                  ((line === undefined) ? '' : ':' + line +
+                                   ((column === undefined) ? '' :
+                                       ':' + column)) +
+                                  ' ' + (error.reason || error.message));
+            err['fileName'] = fileName;
+            err['line'] = line;
+            err['column'] = column;
+            err['parseError'] = true;
+            throw err;
+        }
+    };
+
+    /*
+     * Loads a description or implementation with a resolver.
+     *
+     * Descriptions are parsed if the resolver can find their files, or
+     * returns a string.
+     */
+    const loadWith = function(resolver, artifact, parser) {
+        if (parser && resolver.resolveFile) {
+            const fileName = resolver.resolveFile(artifact);
+            return parseText(fs.readFileSync(fileName, 'utf8'), fileName,
+                             parser);
+        } else {
+            const result = resolver.require(artifact);
+            return (parser && (typeof result === 'string')) ?
+                parseText(result, artifact, parser) :
+                result;
+        }
+    };
+
+    /*
+     * Gets the fallback resolver, created when first needed.
+     *
+     * Bundlers, e.g., `browserify`, may not provide `module.require`, and
+     * then it uses the standard `require`, see `__ca_setStaticArtifacts__`.
+     *
+     * @return {resolverType} The fallback resolver.
+     */
+    const getDefaultResolver = function() {
+        if (!defaultResolver) {
+            defaultResolver = (typeof module.require === 'function') ?
+                resolverUtils.moduleResolver(module) :
+                {
+                    id: 'default',
+                    type: 'module',
+                    require: function(name) {
+                        return require(name);
+                    }
+                };
+        }
+        return defaultResolver;
+    };
+
     /*
      *  Loads a description or component implementation using a sequence of
-     *  `module` resolvers.
+     *  resolvers, see {@link module:caf_components/resolvers}.
      *
      *  @param {string} artifact The name of the description or component
      *  implementation as it would be used in a node.js `require` call.
@@ -94,15 +259,23 @@ exports.create = function($, spec) {
      * @throws {Error} When it cannot found the artifact anywhere.
      */
     const load = function(artifact) {
-        let result = staticArtifacts[artifact];
-        !result && modules.some(function(mod) {
+        const parser = getParser(artifact);
+        let result = null;
+        [staticResolver].concat(resolvers).some(function(resolver) {
             try {
-                result = mod.require(artifact);
-                moduleIndex[artifact] = mod;
-                return true;
+                const value = loadWith(resolver, artifact, parser);
+                if (value) {
+                    result = value;
+                    moduleIndex[artifact] = resolver;
+                }
+                return !!value;
             } catch (err) {
+                if (err['parseError'] ||
+                    (ESM_ERRORS.indexOf(err['code']) !== -1)) {
+                    throw err; // found but invalid, or an ES module
+                }
                 const errMsg = "Loader: can't load " + artifact +
-                    ' with ' + mod.id +
+                    ' with ' + resolver.id +
                     ' error: ' + err.message;//myUtils.errToPrettyStr(err)
                 if ($._.$.log) {
                     $._.$.log.trace(errMsg);
@@ -118,8 +291,8 @@ exports.create = function($, spec) {
 
         if (!result) {
             try {
-                result = require(artifact);
-                moduleIndex[artifact] = module;
+                result = loadWith(getDefaultResolver(), artifact, parser);
+                moduleIndex[artifact] = getDefaultResolver();
             } catch (err) {
                 const errMsg = "Loader: can't load " + artifact +
                     ' error: ' + err.message;
@@ -154,13 +327,34 @@ exports.create = function($, spec) {
      * In a typical CAF application this path shows where the
      * `ca_methods.js` has been defined, e.g., `<app_dir>/lib`.
      *
-     * @return {string} The file path of the top level module.
+     * It uses the first resolver with a `root` directory, e.g., a `module`
+     * object or a list of directories.
+     *
+     * @param {boolean=} withResolver True if it should also return the `id`
+     * of that resolver.
+     * @return {string|{path: string, resolver: string}} The file path of
+     * the top level module, or an object with that path and its resolver
+     * if `withResolver` is true.
+     *
+     * @throws {Error} If no resolver has a `root`, e.g., only in-memory
+     * resolvers.
      *
      * @memberof! module:caf_components/gen_loader#
      * @alias __ca_firstModulePath__
      */
-    that.__ca_firstModulePath__ = function() {
-        return path.resolve(modules[0].paths[0], '..');
+    that.__ca_firstModulePath__ = function(withResolver) {
+        const first = resolvers.find(function(x) {
+            return typeof x.root === 'string';
+        });
+        if (!first) {
+            const err = new Error('Loader: no resolver with a root directory');
+            err['resolvers'] = resolvers.map(function(x) { return x.id;});
+            throw err;
+        } else if (withResolver) {
+            return {path: first.root, resolver: first.id};
+        } else {
+            return first.root;
+        }
     };
 
     /**
@@ -184,24 +378,37 @@ exports.create = function($, spec) {
     };
 
     /**
-     * Sets a list of `module` resolvers that should be used in sequence to
-     * `require` descriptions and implementations.
+     * Sets a list of resolvers that should be used in sequence to
+     * load descriptions and implementations.
+     *
+     * A `module` object is wrapped with a resolver that calls its `require`
+     * method. See {@link module:caf_components/resolvers} for other
+     * resolvers, e.g., a list of directories, or an in-memory map.
      *
-     * @param {Array.<Object>} modulesArray A sequence of `module` objects
-     *  to `require` descriptions and implementations.
+     * @param {Array.<Object|resolverType>} modulesArray A sequence of
+     * `module` objects or resolvers to load descriptions and implementations.
      *
      * @memberof! module:caf_components/gen_loader#
      * @alias __ca_setModules__
      */
     that.__ca_setModules__ = function(modulesArray) {
-        modules = myUtils.clone(modulesArray);
+        resolvers = modulesArray.map(function(x) {
+            return resolverUtils.isResolver(x) ?
+                x :
+                resolverUtils.moduleResolver(x);
+        });
         cachedResources = {};
     };
 
     /**
-     * Maps names to modules for successfully loaded artifacts.
+     * Maps names to resolvers for successfully loaded artifacts.
+     *
+     * A resolver has an `id`, e.g., the `id` of a `module` object, and a
+     * `type`, i.e., `module`, `dirs`, `memory`, `store`, or `static`. See
+     * {@link module:caf_components/resolvers}.
      *
-     * @return {Object<string,Object>} A mapping from artifact names to modules.
+     * @return {Object<string,resolverType>} A mapping from artifact names to
+     * resolvers.
      *
      * @memberof! module:caf_components/gen_loader#
      * @alias __ca_getModuleIndex__
@@ -228,6 +435,7 @@ exports.create = function($, spec) {
     that.__ca_setStaticArtifacts__ = function(staticArtif) {
         const old = staticArtifacts;
         staticArtifacts = myUtils.clone(staticArtif);
+        staticResolver = resolverUtils.staticResolver(staticArtifacts);
         return old;
     };
 
@@ -256,17 +464,242 @@ exports.create = function($, spec) {
 
 
     /**
-     * Loads a JSON component description.
+     * Invalidates a loaded description or implementation, so that it is
+     * loaded again the next time it is needed.
+     *
+     * It clears the loader caches and, if its resolver can find files, the
+     * `require` cache entry of that file. Modules required by that file are
+     * not invalidated. ES modules cannot be removed from the `import()`
+     * cache, and they are imported again with a different URL, i.e., the old
+     * version is never released.
+     *
+     * Running components keep the old implementation until they are
+     * restarted, e.g., with `__ca_restartChild__` in their container, see
+     * {@link module:caf_components/gen_container}.
+     *
+     * @param {string} name The name of a description, e.g., `hello.json`, or
+     * an implementation as in a `module` property, e.g., `./helloImpl` or
+     * `./esmLib.mjs#impl`.
+     * @return {boolean} True if it was loaded before.
+     *
+     * @memberof! module:caf_components/gen_loader#
+     * @alias __ca_invalidate__
+     */
+    that.__ca_invalidate__ = function(name) {
+        const base = name.split('#')[0];
+        const names = getParser(base) ? [base, normalizeName(base)] : [base];
+        let found = false;
+        names.forEach(function(x) {
+            if (Object.prototype.hasOwnProperty.call(cachedResources, x)) {
+                delete cachedResources[x];
+                found = true;
+            }
+            if (esmModules[x]) {
+                delete esmModules[x];
+                esmVersions[x] = (esmVersions[x] || 0) + 1;
+                found = true;
+            }
+            const resolver = moduleIndex[x];
+            if (resolver) {
+                delete moduleIndex[x];
+                found = true;
+                try {
+                    resolver.resolveFile &&
+                        delete require.cache[resolver.resolveFile(x)];
+                } catch (err) {
+                    $._.$.log && $._.$.log.trace('Loader: cannot find ' + x +
+                                                 ' to invalidate: ' +
+                                                 err.message);
+                }
+            }
+        });
+        $._.$.log && $._.$.log.debug('Loader: invalidated ' + base +
+                                     (found ? '' : ', not loaded'));
+        return found;
+    };
+
+    /**
+     * Registers a parser for a description format.
+     *
+     * @param {string} extension A file extension, e.g., `.toml`.
+     * @param {function(string, string):Object} parser A function that
+     * parses the contents of a file, given its contents and name. Errors
+     * should set properties `line` and `column`, starting at 1, if known.
+     *
+     * @memberof! module:caf_components/gen_loader#
+     * @alias __ca_registerParser__
+     */
+    that.__ca_registerParser__ = function(extension, parser) {
+        assert.equal(typeof extension, 'string',
+                     "'extension' is not a string");
+        assert.equal(typeof parser, 'function', "'parser' is not a function");
+        parsers[(extension.indexOf('.') === 0) ? extension : '.' + extension] =
+            parser;
+        cachedResources = {};
+    };
+
+    /*
+     * Adds a './' prefix to relative description names, and checks the
+     * extension.
+     *
+     * @param {string} fileName A description name.
+     * @return {string} A normalized description name.
+     *
+     * @throws {Error} If it has no registered parser, e.g., '.json'.
+     */
+    const normalizeName = function(fileName) {
+        if ((fileName.indexOf('.') !== 0) &&
+            (fileName.indexOf('/') !== 0)) {
+            fileName = './' + fileName;
+        }
+        if (!getParser(fileName)) {
+            const err = new Error('Loader:Description does not end in ' +
+                                  Object.keys(parsers).join(', '));
+            err['fileName'] = fileName;
+            throw err;
+        }
+        return fileName;
+    };
+
+    /*
+     * Removes the `++` suffix of a delta description name.
+     */
+    const baseName = function(fileName) {
+        const ext = path.extname(fileName);
+        const prefix = fileName.substring(0, fileName.length - ext.length);
+        return (prefix.lastIndexOf('++') === prefix.length - 2) ?
+            prefix.substring(0, prefix.length - 2) + ext :
+            fileName;
+    };
+
+    /*
+     * Loads a description and, recursively, the descriptions it extends.
+     *
+     * @param {string} fileName A normalized description name.
+     * @param {Array.<string>} visiting Descriptions being loaded, to detect
+     * cycles.
+     * @param {Array.<{fileName: string, desc: specType}>} layers Loaded
+     * descriptions in merge order, i.e., parents first.
+     * @return {Array.<{fileName: string, desc: specType}>} The updated
+     * `layers`.
+     *
+     * @throws {Error} If it cannot find a description, or `extends` has a
+     * cycle.
+     */
+    const loadLayers = function(fileName, visiting, layers) {
+        if (visiting.indexOf(fileName) !== -1) {
+            const err = new Error('Loader: cyclic extends in ' + fileName);
+            err['cycle'] = visiting.concat(fileName);
+            throw err;
+        }
+        if (!layers.some(function(x) { return x.fileName === fileName;})) {
+            const desc = that.__ca_loadResource__(fileName);
+            [].concat(desc.extends || []).forEach(function(x) {
+                loadLayers(normalizeName(x), visiting.concat(fileName),
+                           layers);
+            });
+            layers.push({fileName: fileName, desc: desc});
+        }
+        return layers;
+    };
+
+    /*
+     * Returns the active profiles in order.
+     *
+     * @param {(string|Array.<string>)=} profile A profile name, a
+     * comma-separated list of names, or an array of names. If missing, it
+     * uses the environment property `CAF_PROFILE`.
+     * @return {Array.<string>} The profile names.
+     *
+     * @throws {Error} If a profile name is not alphanumeric, `_`, or `-`.
+     */
+    const getProfiles = function(profile) {
+        const all = profile || process.env[naming.PROFILE_ENV] || '';
+        const result = [].concat(all)
+            .join(',')
+            .split(',')
+            .map(function(x) { return x.trim();})
+            .filter(function(x) { return x.length > 0;});
+        result.forEach(function(x) {
+            if (!/^[\w-]+$/.test(x)) {
+                const err = new Error('Loader: invalid profile ' + x);
+                err['profile'] = x;
+                throw err;
+            }
+        });
+        return result;
+    };
+
+    /*
+     * Loads an optional delta description, returning `null` if missing.
+     *
+     * Other errors, e.g., a delta that cannot be parsed, are propagated.
+     */
+    const loadOptional = function(fileName) {
+        try {
+            return that.__ca_loadResource__(fileName);
+        } catch (errDelta) {
+            if ((errDelta['code'] !== 'MODULE_NOT_FOUND') &&
+                (errDelta['code'] !== 'ENOENT')) {
+                throw errDelta;
+            }
+            $._.$.log &&
+                $._.$.log.debug('WARNING: loadDescription:No delta file:' +
+                                fileName + ': ' + errDelta.message);
+            return null;
+        }
+    };
+
+    /**
+     * Returns the layers that contributed to the last resolved version of a
+     * description.
+     *
+     * The type `layersType` is `{layers: Array.<string>, values:
+     * Object.<string, string>}`, where `layers` are the merged layers in
+     * order, i.e., the inherited descriptions, the description itself, its
+     * `++.json` delta, the profile deltas, and `spec` for the optional
+     * `spec` argument. The map
+     * `values` identifies the last layer that set a component, e.g.,
+     * `hello/h2/h21`, or an `env` property, e.g., `hello/h2.env.delay`. See
+     * {@link module:caf_components/templateUtils.trackLayer}.
+     *
+     * @param {string} fileName A description name.
+     * @return {layersType|null} The layers for that description, or `null`
+     * if it was never resolved.
+     *
+     * @throws {Error} If the name has an unknown extension.
+     *
+     * @memberof! module:caf_components/gen_loader#
+     * @alias __ca_getLayers__
+     */
+    that.__ca_getLayers__ = function(fileName) {
+        fileName = baseName(normalizeName(fileName));
+        const record = layerIndex[fileName];
+        return record ? myUtils.deepClone(record) : null;
+    };
+
+    /**
+     * Loads a component description, e.g., JSON, JSON5, or YAML.
      *
      * If needed, it also resolves the description by applying
      * templates, following links, reading environment properties, and
      * passing `spec` optional  arguments.
      *
-     * @param {string} fileName A file name with a '.json' extension.
+     * The merge order is: inherited descriptions (see `extends`), the
+     * description, its `++.json` delta, profile deltas, e.g.,
+     * `foo.prod++.json`, and finally `spec`.
+     *
+     * @param {string} fileName A file name with a registered extension, e.g.,
+     * '.json' or '.yaml'.
      * @param {boolean} resolve True if a fully resolved description is
      *  needed.
      * @param {specDeltaType=} spec An optional description to be merged-in with
      * the result.
+     * @param {descOptionsType=} options Optional settings. The property
+     * `profile` is a profile name, a comma-separated list, or an array of
+     * names, overriding the environment property `CAF_PROFILE`. If
+     * `provenance` is true, it attaches a provenance map to the result,
+     * see {@link module:caf_components/templateUtils.getProvenance}.
      * @return {Object} A parsed component description.
      *
      * @throws {Error} If it cannot find the description or parsing error.
@@ -274,22 +707,14 @@ exports.create = function($, spec) {
      * @memberof! module:caf_components/gen_loader#
      * @alias __ca_loadDescription__
      */
-    that.__ca_loadDescription__ = function(fileName, resolve, spec) {
-        if ((fileName.indexOf('.') !== 0) &&
-            (fileName.indexOf('/') !== 0)) {
-            fileName = './' + fileName;
-        }
-        if (fileName.indexOf('.json') !== (fileName.length - 5)) {
-            const err = new Error("Loader:Description does not end in '.json'");
-            err['fileName'] = fileName;
-            throw err;
-        }
+    that.__ca_loadDescription__ = function(fileName, resolve, spec,
+                                           options) {
+        fileName = normalizeName(fileName);
 
         if (resolve) {
             // ignore the ++ suffix
-            if (fileName.indexOf('++.json') === (fileName.length - 7)) {
-                fileName = fileName.substring(0, fileName.length - 7) + '.json';
-            }
+            fileName = baseName(fileName);
+            const topName = fileName;
             /*
              * 'require()' only caches modules not 'json' descriptions. To be
              * consistent, and avoid blocking, we also cache descriptions.
@@ -299,29 +724,70 @@ exports.create = function($, spec) {
              * This means no hot re-deploy, instead, just restart the process...
              *
              */
-            const base = that.__ca_loadResource__(fileName);
-            var delta = null;
-            try {
-                fileName = fileName.substring(0, fileName.length - 5) +
-                    '++.json';
-                delta = that.__ca_loadResource__(fileName);
-            } catch (errDelta) {
-                $._.$.log &&
-                    $._.$.log.debug('WARNING: loadDescription:No delta file:' +
-                                    fileName + ': ' + errDelta.message);
-            }
-            // 1. Merge template.
-            let result = templateUtils.merge(base, delta, false); //clone base
+            const layers = loadLayers(fileName, [], []);
+            const ext = path.extname(fileName);
+            const prefix = fileName.substring(0, fileName.length - ext.length);
+            const deltas = [prefix + '++' + ext].concat(
+                getProfiles(options && options.profile).map(function(x) {
+                    return prefix + '.' + x + '++' + ext;
+                })
+            );
+            const record = {layers: [], values: {}};
+            const applyLayer = function(prev, layerDelta, overrideName,
+                                        layer) {
+                const next = prev ?
+                    templateUtils.merge(prev, layerDelta, overrideName) :
+                    templateUtils.merge(layerDelta, null, false); //clone base
+                templateUtils.trackLayer(record, prev, next, layer);
+                return next;
+            };
+
+            // 1. Merge inherited descriptions, and then the template.
+            let result = null;
+            layers.forEach(function(x) {
+                result = applyLayer(result, x.desc, true, x.fileName);
+            });
+
+            // 2. Merge delta, and then profile deltas.
+            deltas.forEach(function(x) {
+                const delta = loadOptional(x);
+                if (delta) {
+                    result = applyLayer(result, delta, false, x);
+                }
+            });
 
-            // 2. Merge input spec.
+            // 3. Merge input spec.
             if (spec) {
-                result = templateUtils.merge(result, spec, true);
+                result = applyLayer(result, spec, true, 'spec');
             }
-            // 3. Resolve process.env
-            templateUtils.resolveEnv(result);
+            layerIndex[topName] = record;
+
+            // Sources are only traced when provenance is requested
+            /** @type {Object.<string, provenanceType>|null} */
+            const provenance = (options && options.provenance) ? {} : null;
+            /** @type {traceType|undefined} */
+            let trace = undefined;
+            if (provenance) {
+                Object.keys(record.values).forEach(function(x) {
+                    provenance[x] = {layer: record.values[x], sources: []};
+                });
+                trace = function(id, source) {
+                    const p = provenance[id] = provenance[id] ||
+                        {layer: null, sources: []};
+                    (p.sources.indexOf(source) === -1) &&
+                        p.sources.push(source);
+                };
+            }
+
+            // 4. Resolve process.env and secrets
+            templateUtils.resolveEnv(result, trace);
+            // secrets are owned by this loader, i.e., its hierarchy
+            templateUtils.resolveSecrets(result, trace, that);
 
-            // 4. Resolve links to top env.
-            templateUtils.resolveLinks(result);
+            // 5. Resolve links and expressions.
+            templateUtils.resolveLinks(result, trace, that);
+
+            provenance && templateUtils.setProvenance(result, provenance);
 
             return result;
         } else {
@@ -330,6 +796,210 @@ exports.create = function($, spec) {
 
     };
 
+    /**
+     * Resolves the implementation of a component.
+     *
+     * It uses a convention for `moduleName` of the form
+     * `module_name#method1#method2` that resolves to
+     * `require("module_name").method1.method2`
+     *
+     * @param {string} moduleName The `module` property of a description.
+     * @return {Object} An implementation with a `newInstance` method.
+     *
+     * @throws {Error} If it cannot find the implementation.
+     *
+     * @memberof! module:caf_components/gen_loader#
+     * @alias __ca_resolveComponent__
+     */
+    that.__ca_resolveComponent__ = function(moduleName) {
+        const name = moduleName.split('#');
+        const base = name.shift();
+        let comp = esmModules[base] || load(base);
+        while (comp && (name.length > 0)) {
+            const method = name.shift();
+            comp = ((comp[method] === undefined) && comp.default) ?
+                comp.default[method] :
+                comp[method];
+        }
+        if (comp && (typeof comp.newInstance !== 'function') &&
+            comp.default && (typeof comp.default.newInstance === 'function')) {
+            comp = comp.default;
+        }
+        if (!comp || (typeof comp.newInstance !== 'function')) {
+            const error = new Error('Cannot load component');
+            error['module'] = moduleName;
+            throw error;
+        }
+        return comp;
+    };
+
+    /**
+     * Resolves the implementation of a component, falling back to a dynamic
+     * `import()` if `require` fails because it is an ES module, i.e., a
+     * `.mjs` file, or a `require` error with code `ERR_REQUIRE_ESM`,
+     * `ERR_REQUIRE_ASYNC_MODULE`, or `ERR_PACKAGE_PATH_NOT_EXPORTED`.
+     *
+     * Resolvers are tried in order, ending with the standard one, and only
+     * the ones that implement `importModule` can import. Imported modules are
+     * cached, see `__ca_resolveComponent__`.
+     *
+     * @param {string} moduleName The `module` property of a description.
+     * @param {cbType} cb A callback to return an implementation with a
+     * `newInstance` method, or an error. If the import fails, the error is
+     * the original `require` error with property `importError`. Other
+     * errors are the `require` error.
+     *
+     * @memberof! module:caf_components/gen_loader#
+     * @alias __ca_importComponent__
+     */
+    that.__ca_importComponent__ = myUtils.condPromisify(function(moduleName,
+                                                                 cb) {
+        let requireError = null;
+        let comp = null;
+        try {
+            comp = that.__ca_resolveComponent__(moduleName);
+        } catch (err) {
+            requireError = err;
+        }
+        const base = moduleName.split('#')[0];
+        if (comp || ((ESM_ERRORS.indexOf(requireError['code']) === -1) &&
+                     (path.extname(base) !== '.mjs'))) {
+            // found, or not an ES module
+            cb(requireError, comp);
+            return;
+        }
+        const importers = resolvers.concat([getDefaultResolver()])
+            .filter(function(x) {
+                return (typeof x.importModule === 'function');
+            });
+        const tryImport = function(i, importError) {
+            if (i >= importers.length) {
+                requireError['importError'] = importError;
+                cb(requireError);
+                return;
+            }
+            const resolver = importers[i];
+            const onImport = function(err, ns) {
+                if (err) {
+                    $._.$.log && $._.$.log.trace("Loader: can't import " +
+                                                 base + ' with ' +
+                                                 resolver.id + ' error: ' +
+                                                 err.message);
+                    tryImport(i + 1, err);
+                } else {
+                    esmModules[base] = ns;
+                    moduleIndex[base] = resolver;
+                    let error = null;
+                    try {
+                        comp = that.__ca_resolveComponent__(moduleName);
+                    } catch (ex) {
+                        error = ex;
+                    }
+                    cb(error, comp);
+                }
+            };
+            // continue outside the promise, i.e., exceptions in `cb` are not
+            // caught by it, and `cb` is only called once.
+            Promise.resolve()
+                .then(function() {
+                    return resolver.importModule(base, esmVersions[base]);
+                })
+                .then(function(ns) {
+                    setImmediate(function() { onImport(null, ns); });
+                }, function(err) {
+                    setImmediate(function() { onImport(err); });
+                });
+        };
+        tryImport(0, null);
+    });
+
+    /**
+     * Imports, if needed, the implementations of all the components in a
+     * description, so that `__ca_resolveComponent__` can find ES modules.
+     *
+     * Implementations that cannot be loaded are ignored, they will fail
+     * later when validating or creating the component.
+     *
+     * @param {specType} desc A fully resolved description.
+     * @param {cbType} cb A callback to notify completion.
+     *
+     * @memberof! module:caf_components/gen_loader#
+     * @alias __ca_preloadComponents__
+     */
+    that.__ca_preloadComponents__ = myUtils.condPromisify(function(desc, cb) {
+        const names = [];
+        const visit = function(spec) {
+            if (spec && (typeof spec === 'object')) {
+                (typeof spec.module === 'string') && names.push(spec.module);
+                Array.isArray(spec.components) &&
+                    spec.components.forEach(visit);
+            }
+        };
+        visit(desc);
+        async.eachSeries(names, function(name, cb1) {
+            that.__ca_importComponent__(name, function() {
+                cb1(null);
+            });
+        }, cb);
+    });
+
+    /**
+     * Validates a fully resolved description, and all its children.
+     *
+     * Every component description should have the expected properties,
+     * i.e., `name`, `module`, `env`..., and if its implementation exports a
+     * schema in `envSchema`, `env` should be valid with that schema.
+     * Children dependencies, i.e., `dependsOn`, should not be missing or
+     * cyclic.
+     *
+     * Implementations that cannot be loaded are not reported, they will fail
+     * later when creating the component.
+     *
+     * @param {specType} desc A fully resolved description.
+     *
+     * @throws {Error} If the description is invalid. The property `errors` of
+     * the error contains all the violations with their JSON path.
+     *
+     * @memberof! module:caf_components/gen_loader#
+     * @alias __ca_validateDescription__
+     */
+    that.__ca_validateDescription__ = function(desc) {
+        const validateOne = function(spec, path) {
+            let envSchema = null;
+            try {
+                envSchema = that.__ca_resolveComponent__(spec.module)
+                    .envSchema;
+            } catch (err) {
+                $._.$.log && $._.$.log.trace('Validation: ignoring module ' +
+                                             spec.module + ' error: ' +
+                                             err.message);
+            }
+            let errors = schemaUtils.validateDescription(spec, envSchema,
+                                                         path);
+            if (Array.isArray(spec.components)) {
+                try {
+                    containerUtils.sortChildren(spec.components);
+                } catch (err) {
+                    errors.push({path: path + '.components',
+                                 message: err.message});
+                }
+                spec.components.forEach(function(x, i) {
+                    if (x && (typeof x === 'object')) {
+                        errors = errors.concat(
+                            validateOne(x, path + '.components[' + i + ']')
+                        );
+                    }
+                });
+            }
+            return errors;
+        };
+
+        const errors = validateOne(desc, '$');
+        if (errors.length > 0) {
+            throw schemaUtils.newValidationError(errors, desc.name);
+        }
+    };
+
     /**
      * Loads, initializes, and registers a new component.
      *
@@ -337,6 +1007,13 @@ exports.create = function($, spec) {
      * `module_name#method1#method2` that resolves to the following constructor
      * `require("module_name").method1.method2.newInstance()`
      *
+     * If `require` fails, e.g., an ES module, it falls back to `import()`,
+     * see `__ca_importComponent__`.
+     *
+     * The optional `compSpec.env.__ca_timeouts__` limits the duration of the
+     * constructor (`create`) and the first checkup (`checkup`). After a
+     * timeout, a component that is eventually created is shutdown.
+     *
      * @param{Object} comp$ A context to register the component using name
      * `compSpec.name`.
      * @param {specType} compSpec A description of the component.
@@ -346,20 +1023,43 @@ exports.create = function($, spec) {
      * @alias __ca_loadComponent__
      */
     that.__ca_loadComponent__ = function(comp$, compSpec, cb) {
-        try {
-            const name = compSpec.module.split('#');
-            let comp = load(name.shift());
-            while (name.length > 0) {
-                const method = name.shift();
-                comp = comp[method];
-            }
-            if (!comp || (typeof comp.newInstance !== 'function')) {
-                const error = new Error('Cannot load component');
-                error['module'] = compSpec.module;
+        that.__ca_importComponent__(compSpec.module, function(error, comp) {
+            if (error) {
                 error['spec'] = compSpec;
-                throw error;
+                cb(error);
+            } else {
+                createComponent(comp$, compSpec, comp, cb);
             }
+        });
+    };
+
+    /*
+     * Creates, checks up, and registers a component with a resolved
+     * implementation.
+     */
+    const createComponent = function(comp$, compSpec, comp, cb) {
+        try {
             var result = null;
+            var timedOut = false;
+            const shutdownLate = function(res) {
+                $._.$.log && $._.$.log.warn('Shutting down ' + compSpec.name +
+                                            ' after timeout');
+                const f = myUtils.wrapAsyncFunction(res.__ca_shutdown__, res);
+                f(null, function(err) {
+                    err && $._.$.log &&
+                        $._.$.log.warn('Ignoring shutdown error ' +
+                                       myUtils.errToPrettyStr(err));
+                });
+            };
+            const addTimeoutInfo = function(err, op) {
+                // ignore timeouts propagated from children
+                if (err && err['timeout'] && !err['component']) {
+                    timedOut = true;
+                    err['component'] = compSpec.name;
+                    err['op'] = op;
+                }
+                return err;
+            };
             async.waterfall([
                 function(cb1) {
                     const logF = function(err, val) {
@@ -368,16 +1068,39 @@ exports.create = function($, spec) {
                                             myUtils.errToPrettyStr(err) +
                                             ' data: ' + val);
                     };
-                    const cbOnce = myUtils.callJustOnce(logF, cb1);
-                    const p = comp.newInstance(comp$, compSpec, cbOnce);
-                    myUtils.promiseToCallback(p, cbOnce);
+                    const createF = function(cb2) {
+                        const cbOnce = myUtils.callJustOnce(
+                            logF, function(err, res) {
+                                if (timedOut) {
+                                    !err && res && shutdownLate(res);
+                                } else {
+                                    cb2(err, res);
+                                }
+                            }
+                        );
+                        const p = comp.newInstance(comp$, compSpec, cbOnce);
+                        myUtils.promiseToCallback(p, cbOnce);
+                    };
+                    myUtils.wrapWithTimeout(
+                        createF, containerUtils.getTimeout(compSpec, 'create')
+                    )(function(err, res) {
+                        cb1(addTimeoutInfo(err, 'create'), res);
+                    });
                 },
                 function(res, cb1) {
                     result = res;
                     const f = myUtils.wrapAsyncFunction(
                         res.__ca_checkup__, res
                     );
-                    f(null, cb1);
+                    myUtils.wrapWithTimeout(function(cb2) {
+                        f(null, cb2);
+                    }, containerUtils.getTimeout(compSpec, 'checkup'))(
+                        function(err, data) {
+                            err = addTimeoutInfo(err, 'checkup');
+                            timedOut && shutdownLate(res);
+                            cb1(err, data);
+                        }
+                    );
                 }
             ], function(err) {
                 if (err) {
@@ -31,6 +31,17 @@
  * exiting with an error. A hang check is the one that does not complete
  * before the next check.
  *
+ * Optional properties for graceful shutdown:
+ *
+ *     {shutdownSignals: Array.<string>, shutdownTimeout: number}
+ *
+ * where:
+ *  - `shutdownSignals`: signals, e.g., `['SIGTERM', 'SIGINT']`, that trigger
+ * `__ca_gracefulShutdown__`. Handlers are only installed by a top level
+ * supervisor.
+ *  - `shutdownTimeout`: deadline in milliseconds for the whole shutdown. It
+ * defaults to `DEFAULT_SHUTDOWN_TIMEOUT`.
+ *
  * @module caf_components/gen_supervisor
  * @augments module:caf_components/gen_container
  *
@@ -39,9 +50,74 @@
 const genContainer = require('./gen_container');
 const genCron = require('./gen_cron');
 const myUtils = require('./myUtils');
-const assert = require('assert');
+const schemaUtils = require('./schemaUtils');
+const containerUtils = require('./containerUtils');
 const async = require('async');
 
+/**
+ * Schema for the `env` properties of a supervisor.
+ *
+ * It extends the schema of {@link module:caf_components/gen_container}.
+ *
+ * @type {schemaType}
+ *
+ * @memberof! module:caf_components/gen_supervisor
+ * @alias envSchema
+ */
+exports.envSchema = {
+    type: 'object',
+    required: genContainer.envSchema.required
+        .concat(['interval', 'dieDelay', 'maxHangRetries']),
+    properties: myUtils.cloneAndMixin(genContainer.envSchema.properties, {
+        interval: {type: 'number'},
+        dieDelay: {type: 'number'},
+        maxHangRetries: {type: 'number'},
+        shutdownSignals: {type: 'array', items: {type: 'string'}},
+        shutdownTimeout: {type: 'number', minimum: 0}
+    }, false)
+};
+
+/**
+ * Default deadline in msec for a graceful shutdown.
+ *
+ * @type {number}
+ *
+ * @memberof! module:caf_components/gen_supervisor
+ * @alias DEFAULT_SHUTDOWN_TIMEOUT
+ */
+const DEFAULT_SHUTDOWN_TIMEOUT = exports.DEFAULT_SHUTDOWN_TIMEOUT = 10000;
+
+/**
+ * Process exit codes after a graceful shutdown.
+ *
+ * @type {Object<string, number>}
+ *
+ * @memberof! module:caf_components/gen_supervisor
+ * @alias EXIT_CODES
+ */
+const EXIT_CODES = exports.EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,
+    TIMEOUT: 2
+};
+
+/*
+ * Returns the paths of the components in a health tree that are not
+ * shutdown, ignoring the root.
+ */
+const notShutdown = function(health) {
+    const result = [];
+    const visit = function(h, prefix) {
+        (h.components || []).forEach(function(x) {
+            const path = prefix + '/' + x.name;
+            (x.status !== 'shutdown') && result.push(path);
+            visit(x, path);
+        });
+    };
+    visit(health, health.name);
+    return result;
+};
+
 /**
  * Helper constructor method for a supervisor component.
  *
@@ -54,8 +130,7 @@ const async = require('async');
  * @throws {Error} If inputs are invalid.
  */
 exports.create = function($, spec) {
-    assert.equal(typeof(spec.env.interval), 'number',
-                 "'spec.env.interval' is not a number");
+    schemaUtils.assertEnv(exports.envSchema, spec);
     const cronSpec = {
         name: spec.name + '_cron__',
         module: './gen_cron',
@@ -63,21 +138,28 @@ exports.create = function($, spec) {
     };
     const cron = genCron.create(null, cronSpec);
 
-    assert.equal(typeof(spec.env.dieDelay), 'number',
-                 "'spec.env.dieDelay' is not a number");
     const dieDelay = spec.env.dieDelay;
 
-    assert.equal(typeof(spec.env.maxHangRetries), 'number',
-                 "'spec.env.maxHangRetries' is not a number");
     const maxHangRetries = spec.env.maxHangRetries;
 
+    const shutdownTimeout = (typeof spec.env.shutdownTimeout === 'number') ?
+        spec.env.shutdownTimeout :
+        DEFAULT_SHUTDOWN_TIMEOUT;
+
     const that = genContainer.create($, spec);
 
+    /*
+     * Info on periodic checkups, i.e., `lastCheckup`, `checkupDuration`,
+     * `lastError` and `hangRetries`.
+     */
+    const checkupStats = {hangRetries: 0};
+
     const die = function(msg, cb) {
         const debugError = new Error('Dying');
         debugError['msg'] = msg;
         $._.$.log && $._.$.log.fatal('Platform Dying: ' +
                                      myUtils.errToPrettyStr(debugError));
+        that.__ca_emit__(containerUtils.EVENTS.DIE, {error: debugError});
         if (dieDelay >=0) {
             // leave enough time for console.log and shutdown
             setTimeout(function() {
@@ -128,6 +210,7 @@ exports.create = function($, spec) {
                     if (pending) {
                         if (numRetries <= maxHangRetries) {
                             numRetries++;
+                            checkupStats.hangRetries = numRetries;
                             const err = new Error('Hang, retrying');
                             err['checkingForHang'] = true;
                             cb0(err);
@@ -136,7 +219,15 @@ exports.create = function($, spec) {
                         }
                     } else {
                         pending = true;
-                        that.__ca_checkup__(data, cb0);
+                        const start = Date.now();
+                        that.__ca_checkup__(data, function(err, res) {
+                            checkupStats.lastCheckup = start;
+                            checkupStats.checkupDuration = Date.now() - start;
+                            if (err) {
+                                checkupStats.lastError = err.message;
+                            }
+                            cb0(err, res);
+                        });
                     }
                 }
             ], function (err, res) {
@@ -147,6 +238,7 @@ exports.create = function($, spec) {
                                         myUtils.errToPrettyStr(err));
                 } else {
                     numRetries = 0;
+                    checkupStats.hangRetries = 0;
                     pending = false;
                 }
                 if (cb1) {
@@ -181,6 +273,118 @@ exports.create = function($, spec) {
     };
 
 
+    var shuttingDown = false;
+
+    // Callbacks of repeated shutdown requests, or `[err, code]` when done
+    var shutdownPending = [];
+    var shutdownResult = null;
+
+    /**
+     * Shuts down the whole hierarchy, and then exits the process.
+     *
+     * It stops the periodic checkups, and shuts down the children in reverse
+     * order. If the deadline `shutdownTimeout` expires, it logs the
+     * components that did not stop in time.
+     *
+     * The exit code is `EXIT_CODES.OK` for a clean shutdown,
+     * `EXIT_CODES.ERROR` if shutdown failed, or `EXIT_CODES.TIMEOUT` if
+     * the deadline expired. A negative `dieDelay` disables process exit.
+     *
+     * Repeated calls, e.g., a second signal, do not start another shutdown,
+     * but their callbacks are called with the result of the first one.
+     *
+     * @param {string=} reason An optional reason for the shutdown, e.g., the
+     * name of the signal.
+     * @param {cbType=} cb An optional callback with an error, if any, and
+     * the exit code.
+     *
+     * @memberof! module:caf_components/gen_supervisor#
+     * @alias __ca_gracefulShutdown__
+     */
+    that.__ca_gracefulShutdown__ = function(reason, cb) {
+        if (shuttingDown) {
+            $._.$.log && $._.$.log.debug('Ignoring shutdown request ' +
+                                         reason + ', already shutting down');
+            if (shutdownResult) {
+                cb && cb(shutdownResult[0], shutdownResult[1]);
+            } else {
+                cb && shutdownPending.push(cb);
+            }
+            return;
+        }
+        shuttingDown = true;
+        $._.$.log && $._.$.log.info('Graceful shutdown of ' + spec.name +
+                                    ' due to ' + reason);
+        that.__ca_stop__();
+        const shutF = function(cb0) {
+            that.__ca_shutdown__(null, cb0);
+        };
+        myUtils.wrapWithTimeout(shutF, shutdownTimeout)(function(err) {
+            var code = EXIT_CODES.OK;
+            if (err && err['timeout']) {
+                code = EXIT_CODES.TIMEOUT;
+                err['pending'] = notShutdown(that.__ca_getHealth__());
+                const msg = 'Shutdown timeout, pending: ' +
+                      err['pending'].join(', ');
+                $._.$.log && $._.$.log.error(msg);
+            } else if (err) {
+                code = EXIT_CODES.ERROR;
+                $._.$.log && $._.$.log.error('Shutdown error: ' +
+                                             myUtils.errToPrettyStr(err));
+            }
+            if (dieDelay >= 0) {
+                // leave enough time for console.log
+                setTimeout(function() {
+                    process.exit(code);
+                }, dieDelay);
+            }
+            shutdownResult = [err, code];
+            const all = shutdownPending;
+            shutdownPending = [];
+            cb && cb(err, code);
+            all.forEach(function(x) { x(err, code);});
+        });
+    };
+
+    const signalHandlers = {};
+    if ($._ === that) {
+        (spec.env.shutdownSignals || []).forEach(function(signal) {
+            signalHandlers[signal] = function() {
+                that.__ca_gracefulShutdown__(signal);
+            };
+            process.on(signal, signalHandlers[signal]);
+        });
+    }
+
+    const removeSignalHandlers = function() {
+        Object.keys(signalHandlers).forEach(function(signal) {
+            process.removeListener(signal, signalHandlers[signal]);
+            delete signalHandlers[signal];
+        });
+    };
+
+    const super__ca_getHealth__ = that.__ca_getHealth__;
+
+    /**
+     * Returns a snapshot of the health of the whole hierarchy.
+     *
+     * It also reports the periodic checkups of the supervisor, and
+     * `hangRetries`, the number of consecutive checkups that found the
+     * previous one still pending. If positive, the supervisor is `degraded`.
+     *
+     * @return {healthType} The health of the hierarchy.
+     *
+     * @memberof! module:caf_components/gen_supervisor#
+     * @alias __ca_getHealth__
+     */
+    that.__ca_getHealth__ = function() {
+        const health = myUtils.mixin(super__ca_getHealth__(), checkupStats);
+        if ((health.status === 'healthy') && (checkupStats.hangRetries > 0)) {
+            health.status = 'degraded';
+        }
+        return health;
+    };
+
     const super__ca_checkup__ = myUtils.superior(that, '__ca_checkup__');
     that.__ca_checkup__ = myUtils.condPromisify(function(data, cb) {
         super__ca_checkup__(data, function(err, res) {
@@ -207,6 +411,7 @@ exports.create = function($, spec) {
         };
         that.__ca_isShutdown__ = true; // block checkup() creating children
         that.__ca_stop__();
+        removeSignalHandlers();
         const f = myUtils.wrapAsyncFunction(cron.__ca_shutdown__, cron);
         f(data, cb1);
     });
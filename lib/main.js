@@ -24,9 +24,107 @@ limitations under the License.
  *
  */
 const gen_loader = require('./gen_loader');
+const schemaUtils = require('./schemaUtils');
+const containerUtils = require('./containerUtils');
+const naming = require('./naming');
+const myUtils = require('./myUtils');
+const plug_watch = require('./plug_watch');
 
 
-const loadImpl = function($, spec, resourceName, modules, staticArtifacts, cb) {
+/*
+ * Returns, in creation order, the paths of all the components in a
+ * description.
+ *
+ * A parent is created before its children, and children are created in
+ * description order, or after their dependencies if they use `dependsOn`.
+ */
+const creationOrder = function(desc) {
+    const result = [];
+    const visit = function(spec, prefix) {
+        const path = prefix ? prefix + '/' + spec.name : spec.name;
+        result.push(path);
+        containerUtils.sortChildren(spec.components || [])
+            .forEach(function(x) { visit(x, path);});
+    };
+    visit(desc, null);
+    return result;
+};
+
+/*
+ * Resolves, without creating any component, a description and all the
+ * implementations in it.
+ */
+const planImpl = function(loader, compSpec, cb) {
+    try {
+        let errors = [];
+        try {
+            loader.__ca_validateDescription__(compSpec);
+        } catch (err) {
+            if (Array.isArray(err.errors)) {
+                errors = err.errors;
+            } else {
+                throw err;
+            }
+        }
+        const resolveAll = function(spec, path) {
+            try {
+                loader.__ca_resolveComponent__(spec.module);
+            } catch (err) {
+                errors.push({
+                    path: path + '.module',
+                    message: "cannot load '" + spec.module + "': " +
+                        err.message
+                });
+            }
+            (spec.components || []).forEach(function(x, i) {
+                resolveAll(x, path + '.components[' + i + ']');
+            });
+        };
+        resolveAll(compSpec, '$');
+        if (errors.length > 0) {
+            throw schemaUtils.newValidationError(errors, compSpec.name);
+        }
+        cb(null, {description: compSpec, order: creationOrder(compSpec)});
+    } catch (err) {
+        cb(err);
+    }
+};
+
+/*
+ * Creates a file watcher for a loaded hierarchy, and registers it in the
+ * top level context.
+ *
+ * If it fails, the hierarchy is shutdown.
+ */
+const watchImpl = function($, spec, resourceName, options, cb) {
+    const watchSpec = {
+        name: naming.WATCHER,
+        module: 'caf_components#plug_watch',
+        description: 'Reloads changed components',
+        env: {
+            fileName: resourceName,
+            delta: spec || null,
+            profile: options.profile
+        }
+    };
+    const top$ = $._.$;
+    myUtils.promiseToCallback(
+        plug_watch.newInstance(top$, watchSpec),
+        function(err, watcher) {
+            if (err) {
+                $._.__ca_shutdown__(null, function() {
+                    cb(err);
+                });
+            } else {
+                top$[naming.WATCHER] = watcher;
+                cb(null);
+            }
+        }
+    );
+};
+
+const loadImpl = function($, spec, resourceName, modules, staticArtifacts,
+                          options, cb) {
     try {
         /*
          *
@@ -68,23 +166,51 @@ const loadImpl = function($, spec, resourceName, modules, staticArtifacts, cb) {
             const p = { loader: gen_loader.create()};
             $ = {'$': p};
             loader = p.loader;
+            // no hierarchy to shutdown, i.e., forget its secrets now
+            const cb0 = cb;
+            cb = function(err, data) {
+                err && myUtils.clearSecrets(p.loader);
+                cb0(err, data);
+            };
         }
         loader = loader || $._.$.loader;
         staticArtifacts && loader.__ca_setStaticArtifacts__(staticArtifacts);
         modules && loader.__ca_setModules__(modules);
-        const compSpec = loader.__ca_loadDescription__(resourceName, true,
-                                                       spec);
-        const cb1 = function (err) {
-            if (err) {
+        const compSpec = loader.__ca_loadDescription__(
+            resourceName, true, spec, {
+                profile: options && options.profile,
+                provenance: options && options.provenance
+            }
+        );
+        // ES module implementations are imported before validation
+        loader.__ca_preloadComponents__(compSpec, function() {
+            try {
+                if (options && options.planOnly) {
+                    planImpl(loader, compSpec, cb);
+                    return;
+                }
+                loader.__ca_validateDescription__(compSpec);
+                const cb1 = function (err) {
+                    if (err) {
+                        cb(err);
+                    } else if (options && options.watch) {
+                        watchImpl($, spec, resourceName, options,
+                                  function(err) {
+                                      cb(err, err ? undefined : $);
+                                  });
+                    } else {
+                        /* loadComponent already registered comp in `$` with
+                         * its name, and also as `$._` if it was the top level
+                         * component.
+                         */
+                        cb(err, $);
+                    }
+                };
+                loader.__ca_loadComponent__($, compSpec, cb1);
+            } catch (err) {
                 cb(err);
-            } else {
-                /* loadComponent already registered comp in `$` with its name,
-                 * and also as `$._` if it was the top level component.
-                 */
-                cb(err, $);
             }
-        };
-        loader.__ca_loadComponent__($, compSpec, cb1);
+        });
     } catch (err) {
         cb(err);
     }
@@ -93,6 +219,8 @@ const loadImpl = function($, spec, resourceName, modules, staticArtifacts, cb) {
 /**
  * Creates and initializes a hierarchy of asynchronous components.
  *
+ * The fully resolved description is validated before creating any component,
+ * see {@link module:caf_components/schemaUtils}.
  *
  * @param {null | ctxType}  $ A context for the top level
  * component. If `null` a new one is created. Otherwise, it should be a properly
@@ -107,30 +235,48 @@ const loadImpl = function($, spec, resourceName, modules, staticArtifacts, cb) {
  *  modifying the current loader configuration.
  * @param {Object<string, Object>=} staticArtifacts An optional collection of
  *  already loaded modules and files.
+ * @param {loadOptionsType=} options Optional settings for loading. If
+ * `options.planOnly` is true, no component is created. Instead, it returns a
+ * plan of type `{description: specType, order: Array.<string>}`
+ * with the fully resolved description, and the paths of its components in
+ * creation order. It fails, listing all of them, if some implementations
+ * cannot be found. The property `options.profile` chooses profile deltas,
+ * e.g., `'prod'` or `'prod,eu'`, overriding the environment property
+ * `CAF_PROFILE` (see {@link module:caf_components/gen_loader}). If
+ * `options.provenance` is true, the resolved description has a provenance
+ * map, see {@link module:caf_components/templateUtils.getProvenance}. If
+ * `options.watch` is true, a development mode reloads changed descriptions
+ * and implementations, see {@link module:caf_components/plug_watch}.
  * @param {cbType=} cb An optional callback to return context `$` with the new
- * top level component or an error. If missing, it returns a `Promise` with the
- * context.
+ * top level component (or a plan) or an error. If missing, it returns a
+ * `Promise` with the context (or the plan).
  *
- * @return {Promise<Object>|null} A promise with the `$` context or `null` if
- * a callback is provided.
+ * @return {Promise<Object>|null} A promise with the `$` context (or a plan)
+ *  or `null` if a callback is provided.
  *
  * @memberof! module:caf_components/main
  * @alias load
  */
-exports.load = function($, spec, resourceName, modules, staticArtifacts, cb) {
+exports.load = function($, spec, resourceName, modules, staticArtifacts,
+                        options, cb) {
+    // Really ugly parameter shuffle for backward compatibility
     if (typeof staticArtifacts === 'function') {
-        // Really ugly parameter shuffle for backward compatibility
         // @ts-ignore
         cb = staticArtifacts;
         staticArtifacts = null;
+        options = null;
+    } else if (typeof options === 'function') {
+        // @ts-ignore
+        cb = options;
+        options = null;
     }
     if (cb) {
-        loadImpl($, spec, resourceName, modules, staticArtifacts, cb);
+        loadImpl($, spec, resourceName, modules, staticArtifacts, options, cb);
         return null;
     } else {
         return new Promise((resolve, reject) => {
             loadImpl($, spec, resourceName, modules,
-                     staticArtifacts, (err, data) => {
+                     staticArtifacts, options, (err, data) => {
                          if (err) {
                              reject(err);
                          } else {
@@ -157,13 +303,17 @@ exports.gen_supervisor= require('./gen_supervisor');
 exports.supervisor= require('./supervisor');
 exports.plug_ca_log = require('./plug_ca_log');
 exports.plug_log = require('./plug_log');
+exports.plug_health = require('./plug_health');
+exports.plug_watch = plug_watch;
 exports.proxy_log = require('./proxy_log');
 
 // export utils/conventions
 exports.myUtils = require('./myUtils');
 exports.containerUtils = require('./containerUtils');
 exports.templateUtils = require('./templateUtils');
+exports.schemaUtils = require('./schemaUtils');
 exports.naming = require('./naming');
+exports.resolvers = require('./resolvers');
 
 
 // external
@@ -185,15 +185,73 @@ exports.cloneAndMixin = function(dest, source, keepOld) {
     return mixin(clone(dest), source, keepOld);
 };
 
+const backoffDelay =
+/**
+ * Computes the delay before a retry using a backoff policy.
+ *
+ * The type `backoffType` is:
+ *
+ *     {strategy: string, delay: number, factor=: number, maxDelay=: number,
+ *      jitter=: string}
+ *
+ * where:
+ *
+ *  - `strategy`: `constant`, `linear` (i.e., `delay * attempt`), or
+ * `exponential` (i.e., `delay * factor^(attempt-1)`).
+ *  - `delay`: base delay in msec.
+ *  - `factor`: growth factor for `exponential`. It defaults to 2.
+ *  - `maxDelay`: an optional upper bound in msec.
+ *  - `jitter`: `none` (default), `full` (i.e., random in `[0, delay)`), or
+ * `decorrelated` (i.e., random in `[delay, 3*previous)`, ignoring
+ * `strategy`).
+ *
+ * @param {backoffType} policy A backoff policy.
+ * @param {number} attempt The number of the retry, starting with 1.
+ * @param {number=} previous The previous delay in msec, if any.
+ *
+ * @return {number} A delay in msec.
+ *
+ * @memberof! module:caf_components/myUtils
+ * @alias backoffDelay
+ */
+exports.backoffDelay = function(policy, attempt, previous) {
+    const base = policy.delay;
+    const maxDelay = (typeof policy.maxDelay === 'number') ?
+        policy.maxDelay :
+        Infinity;
+    let result;
+    if (policy.jitter === 'decorrelated') {
+        const prev = Math.max(previous || base, base);
+        result = base + Math.random() * (3 * prev - base);
+    } else {
+        if (policy.strategy === 'linear') {
+            result = base * attempt;
+        } else if (policy.strategy === 'exponential') {
+            const factor = (typeof policy.factor === 'number') ?
+                policy.factor :
+                2;
+            result = base * Math.pow(factor, attempt - 1);
+        } else {
+            result = base;
+        }
+        if (policy.jitter === 'full') {
+            result = Math.random() * Math.min(result, maxDelay);
+        }
+    }
+    return Math.floor(Math.min(result, maxDelay));
+};
+
 /**
  * Retries an asynchronous function several times until it succeeds. It delays a
- *  retry by a fixed amount of time.
+ *  retry by a fixed amount of time, or by using a backoff policy (see
+ * `backoffDelay`).
  *
  * @param {function(cbType):void} f An asynchronous function of type
  * `function(cbType)` to be evaluated. It returns error/result using a callback
  *  with node.js conventions.
  * @param {number} nTimes  Max number of attempts.
- * @param {number} delay Time between retries in miliseconds.
+ * @param {number|backoffType} delay Time between retries in miliseconds, or a
+ * backoff policy.
  * @param {cbType} cb Standard callback function for error/result propagation.
  *
  * @memberof! module:caf_components/myUtils
@@ -202,14 +260,23 @@ exports.cloneAndMixin = function(dest, source, keepOld) {
 exports.retryWithDelay = function(f, nTimes, delay, cb) {
     assert.equal(typeof(f), 'function', "'f' is not a function");
     assert.equal(typeof(nTimes), 'number', "'nTimes' is not a number");
-    assert.equal(typeof(delay), 'number', "'delay' is not a number");
+    const policy = (typeof delay === 'object') && (delay !== null) ?
+        delay :
+        {strategy: 'constant', delay: delay};
+    assert.equal(typeof(policy.delay), 'number', "'delay' is not a number");
     f = wrapAsyncFunction(f);
+    var attempt = 0;
+    var previous = 0;
     async.retry(nTimes,
                 function(cb0) {
                     const cb1 = function (err, res) {
-                        if (err && (nTimes > 1)) {
+                        // no delay after the last attempt
+                        if (err && (attempt + 1 < nTimes)) {
+                            attempt = attempt + 1;
+                            previous = backoffDelay(policy, attempt,
+                                                    previous);
                             setTimeout(function() { cb0(err, res); },
-                                       delay);
+                                       previous);
                         } else {
                             cb0(err, res);
                         }
@@ -220,10 +287,147 @@ exports.retryWithDelay = function(f, nTimes, delay, cb) {
                 });
 };
 
+/*
+ * Values that should not be logged, by owner, e.g., the loader of a
+ * hierarchy.
+ *
+ * @type {Map<Object, Array.<string>>}
+ */
+const secretsByOwner = new Map();
+
+// A default owner for secrets registered without one
+const GLOBAL_OWNER = {};
+
+/*
+ * All the registered secrets, longest first, or `null` if it needs to be
+ * recomputed.
+ *
+ * @type {Array.<string>|null}
+ */
+var secrets = [];
+
+const allSecrets = function() {
+    if (secrets === null) {
+        /** @type {Array.<string>} */
+        const all = [];
+        secretsByOwner.forEach(function(values) {
+            values.forEach(function(x) {
+                (all.indexOf(x) === -1) && all.push(x);
+            });
+        });
+        all.sort(function(a, b) { return b.length - a.length;});
+        secrets = all;
+    }
+    return secrets;
+};
+
+/**
+ * String that replaces a secret when redacted.
+ *
+ * @type {string}
+ * @memberof! module:caf_components/myUtils
+ * @alias REDACTED
+ */
+const REDACTED = exports.REDACTED = '[REDACTED]';
+
+/**
+ * Registers a secret value, so that it is redacted when logged.
+ *
+ * See `redact` and `errToStr`.
+ *
+ * @param {string} value A secret value. Empty values are ignored.
+ * @param {Object=} owner An optional owner of the secret, e.g., the loader
+ * of a hierarchy, to remove its secrets with `clearSecrets`.
+ *
+ * @return {string} The same secret value.
+ *
+ * @memberof! module:caf_components/myUtils
+ * @alias registerSecret
+ */
+exports.registerSecret = function(value, owner) {
+    owner = owner || GLOBAL_OWNER;
+    if ((typeof value === 'string') && (value.length > 0)) {
+        const values = secretsByOwner.get(owner) || [];
+        if (values.indexOf(value) === -1) {
+            values.push(value);
+            secretsByOwner.set(owner, values);
+            secrets = null;
+        }
+    }
+    return value;
+};
+
+/**
+ * Removes the secrets of an owner, e.g., when its hierarchy shuts down.
+ *
+ * @param {Object=} owner The owner of the secrets, see `registerSecret`. If
+ * missing, it removes the secrets registered without an owner.
+ *
+ * @memberof! module:caf_components/myUtils
+ * @alias clearSecrets
+ */
+exports.clearSecrets = function(owner) {
+    if (secretsByOwner.delete(owner || GLOBAL_OWNER)) {
+        secrets = null;
+    }
+};
+
+const redactString = function(str) {
+    allSecrets().forEach(function(x) {
+        str = str.split(x).join(REDACTED);
+        // also when escaped in a JSON string
+        const escaped = JSON.stringify(x).slice(1, -1);
+        if (escaped !== x) {
+            str = str.split(escaped).join(REDACTED);
+        }
+    });
+    return str;
+};
+
+const redact =
+/**
+ * Replaces registered secrets in strings, including substrings, of a value.
+ *
+ * It does not modify the input, and it returns the same object if there
+ * was nothing to redact.
+ *
+ * @param {any} value A value, e.g., a description, to redact.
+ *
+ * @return {any} A value without secrets.
+ *
+ * @memberof! module:caf_components/myUtils
+ * @alias redact
+ */
+exports.redact = function(value) {
+    if (allSecrets().length === 0) {
+        return value;
+    } else if (typeof value === 'string') {
+        return redactString(value);
+    } else if (Array.isArray(value)) {
+        const result = value.map(redact);
+        return result.some(function(x, i) { return x !== value[i];}) ?
+            result :
+            value;
+    } else if (value && (typeof value === 'object') &&
+               (Object.getPrototypeOf(value) === Object.prototype)) {
+        let changed = false;
+        const result = {};
+        Object.keys(value).forEach(function(key) {
+            result[key] = redact(value[key]);
+            changed = changed || (result[key] !== value[key]);
+        });
+        return changed ? result : value;
+    } else {
+        return value;
+    }
+};
+
 const errToStr =
 /**
  * Stringifies an error object for logging or network transmission.
  *
+ * Registered secrets are redacted, see `registerSecret`.
+ *
  * @param {Error} err An error object to log or send.
  *
  * @return {string} A string representation of the error.
@@ -235,9 +439,9 @@ exports.errToStr = function(err) {
         const obj = {};
         Object.getOwnPropertyNames(err)
             .forEach(function(key) { obj[key] = err[key]; });
-        return JSON.stringify(obj, null, 2);
+        return redact(JSON.stringify(obj, null, 2));
     } else {
-        return err;
+        return redact(err);
     }
 };
 
@@ -262,7 +466,7 @@ exports.errToPrettyStr= function(err) {
         return result;
     } catch (ex) {
         // 'err' not JSON serializable
-        return '' + err;
+        return redact('' + err);
     }
 };
 
@@ -381,6 +585,28 @@ exports.deepEqual = function(x, y) {
     }
 };
 
+/**
+ * Whether two objects are structurally equal, comparing primitive values
+ * with `Object.is`, e.g., `1` is not equal to `'1'`, and `null` is not
+ * equal to `undefined`.
+ *
+ * @param {Object} x An object to compare.
+ * @param {Object} y An object to compare.
+ *
+ * @return {boolean} True if `x` and `y` are structurally equal.
+ *
+ * @memberof! module:caf_components/myUtils
+ * @alias deepStrictEqual
+ */
+exports.deepStrictEqual = function(x, y) {
+    try {
+        assert.deepStrictEqual(x, y);
+        return true;
+    } catch (ex) {
+        return false;
+    }
+};
+
 const IDENT_F = function(x) { return x;};
 
 /**
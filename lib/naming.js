@@ -42,6 +42,16 @@ exports.TOP = '_';
  */
 exports.LOADER = 'loader';
 
+/**
+ * The name of the file watcher component in the top level context, see
+ * {@link module:caf_components/plug_watch}.
+ *
+ * @type {string}
+ * @memberof! module:caf_components/naming
+ * @alias WATCHER
+ */
+exports.WATCHER = 'watcher';
+
 /**
  * The name of the enclosing CA component in a particular CA context.
  *
@@ -54,7 +64,8 @@ exports.CA = 'ca';
 /**
  * The suffix in a JSON description filename to indicate that is a delta on a
  * JSON template with similar base name. For example, `foo++.json` is a delta
- * on the template `foo.json`.
+ * on the template `foo.json`. Other formats use `++` before their extension,
+ * e.g., `foo++.yaml`.
  *
  * @type {string}
  * @memberof! module:caf_components/naming
@@ -62,6 +73,18 @@ exports.CA = 'ca';
  */
 exports.DELTA = '++.json';
 
+/**
+ * Name of the environment property with a comma-separated list of profiles,
+ * e.g., `CAF_PROFILE=prod,eu`, when they are not explicitly given to the
+ * loader. A profile `prod` selects an extra delta `foo.prod++.json` for
+ * `foo.json`.
+ *
+ * @type {string}
+ * @memberof! module:caf_components/naming
+ * @alias PROFILE_ENV
+ */
+exports.PROFILE_ENV = 'CAF_PROFILE';
+
 /**
  * Prefix that identifies a description value in an environment that needs
  * to be resolved to a top level description property.
@@ -82,3 +105,66 @@ exports.ENV_LINK_PREFIX = '$._.env.';
  * @alias ENV_PROPERTY_PREFIX
  */
 exports.ENV_PROPERTY_PREFIX = 'process.env.';
+
+/**
+ * Prefix that identifies a description value that needs to be resolved by
+ * reading a secret, i.e., `secret.file:<path>` for a file, or
+ * `secret.<name>` for a file in the secrets directory (see `SECRETS_DIR_ENV`).
+ *
+ * @type {string}
+ * @memberof! module:caf_components/naming
+ * @alias SECRET_PREFIX
+ */
+exports.SECRET_PREFIX = 'secret.';
+
+/**
+ * Name of the environment property with the directory of mounted secrets,
+ * e.g., `/run/secrets`, where `secret.<name>` reads the file `<name>`.
+ *
+ * @type {string}
+ * @memberof! module:caf_components/naming
+ * @alias SECRETS_DIR_ENV
+ */
+exports.SECRETS_DIR_ENV = 'CAF_SECRETS_DIR';
+
+/**
+ * Name of the non-enumerable property of a resolved description with its
+ * provenance map, see
+ * {@link module:caf_components/templateUtils.getProvenance}.
+ *
+ * @type {string}
+ * @memberof! module:caf_components/naming
+ * @alias PROVENANCE
+ */
+exports.PROVENANCE = '__ca_provenance__';
+
+/**
+ * Key that marks an object value in a delta `env` for deep merging, e.g.,
+ * `{"__ca_merge__": "deep", "port": 8080}`. The marker is removed after
+ * merging.
+ *
+ * @type {string}
+ * @memberof! module:caf_components/naming
+ * @alias ENV_MERGE_MARKER
+ */
+exports.ENV_MERGE_MARKER = '__ca_merge__';
+
+/**
+ * Value in a delta `env` that deletes that property from the template.
+ *
+ * @type {string}
+ * @memberof! module:caf_components/naming
+ * @alias ENV_DELETE
+ */
+exports.ENV_DELETE = '__ca_delete__';
+
+/**
+ * Key in a delta `env` object that wraps an array to choose how it merges
+ * with the template array, i.e., `replace`, `append`, or `mergeByKey`.
+ * For example, `{"__ca_array__": "append", "value": [1, 2]}`.
+ *
+ * @type {string}
+ * @memberof! module:caf_components/naming
+ * @alias ENV_ARRAY
+ */
+exports.ENV_ARRAY = '__ca_array__';
@@ -0,0 +1,172 @@
+/*!
+Copyright 2020 Caf.js Labs and contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+'use strict';
+/**
+ * A plug that exposes the health of the hierarchy with HTTP.
+ *
+ * Properties:
+ *
+ *        {port: number, host=: string}
+ *
+ * where `port` is the listening port, or `0` to pick a free one, and `host`
+ * an optional interface address, e.g., `127.0.0.1`.
+ *
+ * Endpoints:
+ *
+ *  - `GET /healthz`: liveness probe. It returns status 503 if the top
+ * component is shutdown, or a hang has been detected by the supervisor
+ * (see `maxHangRetries` in {@link module:caf_components/gen_supervisor}),
+ * and 200 otherwise.
+ *  - `GET /readyz`: readiness probe. It returns status 200 if all the
+ * components are healthy, and 503 otherwise.
+ *  - `GET /components`: the health of the whole hierarchy in JSON, see
+ * `__ca_getHealth__` in {@link module:caf_components/gen_component}.
+ *
+ * @module caf_components/plug_health
+ * @augments module:caf_components/gen_plug
+ *
+ */
+// @ts-ignore: augments not attached to a class
+const http = require('http');
+
+const genPlug = require('./gen_plug');
+const myUtils = require('./myUtils');
+const schemaUtils = require('./schemaUtils');
+
+/**
+ * Schema for the `env` properties of a health plug.
+ *
+ * @type {schemaType}
+ *
+ * @memberof! module:caf_components/plug_health
+ * @alias envSchema
+ */
+exports.envSchema = {
+    type: 'object',
+    required: ['port'],
+    properties: {
+        port: {type: 'integer', minimum: 0, maximum: 65535},
+        host: {type: 'string'}
+    }
+};
+
+/**
+ * Factory method to create a health plug component.
+ *
+ * @param {ctxType} $ A context containing references to other components.
+ * @param {specType} spec Configuration data for this component.
+ *
+ * @return {Promise<Array.<any>>} A tuple array returning an optional `Error`
+ *  in the first argument, or the new component in the second.
+ */
+exports.newInstance = async function($, spec) {
+    try {
+        const that = genPlug.create($, spec);
+
+        schemaUtils.assertEnv(exports.envSchema, spec);
+
+        const reply = function(res, code, body) {
+            res.writeHead(code, {'Content-Type': 'application/json'});
+            // errors in the health report could contain secrets
+            res.end(JSON.stringify(myUtils.redact(body)));
+        };
+
+        const isAlive = function(health) {
+            return (health.status !== 'shutdown') &&
+                !(health['hangRetries'] > 0);
+        };
+
+        const handler = function(req, res) {
+            try {
+                const path = (req.url || '').split('?')[0];
+                if (req.method !== 'GET') {
+                    reply(res, 405, {error: 'Method not allowed'});
+                } else if (path === '/healthz') {
+                    const health = $._.__ca_getHealth__();
+                    reply(res, isAlive(health) ? 200 : 503,
+                          {status: health.status});
+                } else if (path === '/readyz') {
+                    const health = $._.__ca_getHealth__();
+                    reply(res, (health.status === 'healthy') ? 200 : 503,
+                          {status: health.status});
+                } else if (path === '/components') {
+                    reply(res, 200, $._.__ca_getHealth__());
+                } else {
+                    reply(res, 404, {error: 'Not found'});
+                }
+            } catch (err) {
+                $._.$.log && $._.$.log.warn('Health request error ' +
+                                            myUtils.errToPrettyStr(err));
+                reply(res, 500, {error: err.message});
+            }
+        };
+
+        const server = http.createServer(handler);
+
+        // open sockets, destroyed on shutdown, e.g., idle keep-alive ones
+        const sockets = new Set();
+        server.on('connection', function(socket) {
+            sockets.add(socket);
+            socket.once('close', function() {
+                sockets.delete(socket);
+            });
+        });
+
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(spec.env.port, spec.env.host, () => {
+                server.removeListener('error', reject);
+                resolve();
+            });
+        });
+
+        /**
+         * Gets the port of the HTTP server.
+         *
+         * @return {number} The listening port.
+         *
+         * @memberof! module:caf_components/plug_health#
+         * @alias getPort
+         */
+        that.getPort = function() {
+            const address = server.address();
+            return (address && (typeof address === 'object')) ?
+                address.port :
+                spec.env.port;
+        };
+
+        const super__ca_shutdown__ = myUtils.superior(that, '__ca_shutdown__');
+        that.__ca_shutdown__ = myUtils.condPromisify(function(data, cb) {
+            super__ca_shutdown__(data, function(err) {
+                if (err) {
+                    cb(err);
+                } else if (server.listening) {
+                    server.close(function(err) { cb(err);});
+                    // do not wait for keep-alive connections to time out
+                    sockets.forEach(function(socket) {
+                        socket.destroy();
+                    });
+                } else {
+                    cb(null);
+                }
+            });
+        });
+
+        return [null, that];
+    } catch (err) {
+        return [err];
+    }
+};
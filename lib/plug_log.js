@@ -33,6 +33,27 @@ limitations under the License.
 const assert = require('assert');
 
 const genPlug = require('./gen_plug');
+const schemaUtils = require('./schemaUtils');
+
+const LEVEL_NAMES = [
+    'OFF', 'FATAL', 'ERROR', 'WARN', 'INFO', 'DEBUG', 'TRACE'
+];
+
+/**
+ * Schema for the `env` properties of a log plug.
+ *
+ * @type {schemaType}
+ *
+ * @memberof! module:caf_components/plug_log
+ * @alias envSchema
+ */
+exports.envSchema = {
+    type: 'object',
+    required: ['logLevel'],
+    properties: {
+        logLevel: {type: 'string', enum: LEVEL_NAMES}
+    }
+};
 
 /**
  * Factory method to create a log plug component.
@@ -50,17 +71,12 @@ exports.newInstance = async function($, spec) {
             'TRACE': 5
         };
 
-        const levelNames = [
-            'OFF', 'FATAL', 'ERROR', 'WARN', 'INFO', 'DEBUG', 'TRACE'
-        ];
+        const levelNames = LEVEL_NAMES;
 
         const that = genPlug.create($, spec);
 
-        assert.equal(typeof(spec.env.logLevel), 'string',
-                     "'logLevel' is not an string");
+        schemaUtils.assertEnv(exports.envSchema, spec);
         var currentLevel = levels[spec.env.logLevel];
-        assert.equal(typeof(currentLevel), 'number',
-                     "'currentLevel' is not a number");
 
         /**
          * Sets the threshold for logging events.
@@ -0,0 +1,364 @@
+/*!
+Copyright 2020 Caf.js Labs and contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+'use strict';
+/**
+ * A plug that watches the files of a running hierarchy, and reloads the
+ * components that changed, i.e., a development mode.
+ *
+ * It is created by `main.load` with option `watch`, and registered in the
+ * top level context as `watcher` (see {@link module:caf_components/naming}).
+ *
+ * Properties:
+ *
+ *        {fileName: string, delta=: specDeltaType,
+ *         profile=: string|Array.<string>, delay=: number}
+ *
+ * where `fileName`, `delta`, and `profile` load the top description as in
+ * `main.load`, and `delay` is the msec to wait for more changes before
+ * reloading, defaulting to 100.
+ *
+ * It watches the files of the descriptions and implementations loaded so
+ * far, as listed by the loader `__ca_getModuleIndex__`, ignoring the ones in
+ * `node_modules`. After a change, it invalidates the changed artifacts
+ * (see `__ca_invalidate__` in {@link module:caf_components/gen_loader}),
+ * loads the description again, and reconfigures the top container, i.e.,
+ * only the affected subtrees restart. Then, components with a changed
+ * implementation are restarted by their container.
+ *
+ * Files are not watched recursively, e.g., a new delta file, or a module
+ * required by an implementation, are not noticed. The top component cannot
+ * be restarted, and changing its `env` requires a new process.
+ *
+ * Watching stops when the top component shuts down, and it does not keep
+ * the process alive.
+ *
+ * @module caf_components/plug_watch
+ * @augments module:caf_components/gen_plug
+ *
+ */
+// @ts-ignore: augments not attached to a class
+const fs = require('fs');
+const path = require('path');
+const async = require('async');
+
+const genPlug = require('./gen_plug');
+const myUtils = require('./myUtils');
+const schemaUtils = require('./schemaUtils');
+const containerUtils = require('./containerUtils');
+
+const DEFAULT_DELAY = 100;
+
+/**
+ * Schema for the `env` properties of a watcher plug.
+ *
+ * @type {schemaType}
+ *
+ * @memberof! module:caf_components/plug_watch
+ * @alias envSchema
+ */
+exports.envSchema = {
+    type: 'object',
+    required: ['fileName'],
+    properties: {
+        fileName: {type: 'string', minLength: 1},
+        delta: {type: ['object', 'null']},
+        profile: {
+            anyOf: [
+                {type: 'string'},
+                {type: 'array', items: {type: 'string'}}
+            ]
+        },
+        delay: {type: 'number', minimum: 0}
+    }
+};
+
+/**
+ * Factory method to create a watcher plug component.
+ *
+ * @param {ctxType} $ A context containing references to other components.
+ * @param {specType} spec Configuration data for this component.
+ *
+ * @return {Promise<Array.<any>>} A tuple array returning an optional `Error`
+ *  in the first argument, or the new component in the second.
+ */
+exports.newInstance = async function($, spec) {
+    try {
+        const that = genPlug.create($, spec);
+
+        schemaUtils.assertEnv(exports.envSchema, spec);
+
+        /**
+         * Disable shutdown of this unknown component by the top container.
+         *
+         * @type {boolean}
+         * @memberof! module:caf_components/plug_watch#
+         * @alias __ca_isNotUnknown__
+         */
+        that.__ca_isNotUnknown__ = true;
+
+        const loader = $._.$.loader;
+        const delay = (typeof spec.env.delay === 'number') ?
+            spec.env.delay :
+            DEFAULT_DELAY;
+
+        var watchers = {}; // file name -> fs.FSWatcher
+        var fileNames = {}; // file name -> artifact names
+        var changed = {}; // artifact names pending reload
+        var timer = null;
+        var reloading = false;
+
+        const unwatchAll = function() {
+            Object.keys(watchers).forEach(function(x) {
+                watchers[x].close();
+            });
+            watchers = {};
+            fileNames = {};
+        };
+
+        const flush = function() {
+            timer = null;
+            const names = Object.keys(changed);
+            if (reloading || that.__ca_isShutdown__ || (names.length === 0)) {
+                return;
+            }
+            changed = {};
+            that.__ca_reload__(names, function(err, res) {
+                if (err) {
+                    $._.$.log && $._.$.log.warn('Watcher: cannot reload ' +
+                                                names.join(', ') + ': ' +
+                                                myUtils.errToPrettyStr(err));
+                } else {
+                    const changes = JSON.stringify(myUtils.redact(res));
+                    $._.$.log && $._.$.log.debug('Watcher: reloaded ' +
+                                                 names.join(', ') + ' ' +
+                                                 changes);
+                }
+                schedule();
+            });
+        };
+
+        const schedule = function() {
+            if (!timer && (Object.keys(changed).length > 0)) {
+                timer = setTimeout(flush, delay);
+                timer.unref();
+            }
+        };
+
+        const onChange = function(fileName) {
+            if ($._.__ca_isShutdown__) {
+                // top component without shutdown events
+                that.__ca_shutdown__(null, function() {});
+            } else {
+                (fileNames[fileName] || []).forEach(function(x) {
+                    changed[x] = true;
+                });
+                schedule();
+            }
+        };
+
+        const watchAll = function() {
+            unwatchAll();
+            const index = loader.__ca_getModuleIndex__();
+            Object.keys(index).forEach(function(name) {
+                const resolver = index[name];
+                let fileName = null;
+                try {
+                    fileName = resolver.resolveFile ?
+                        resolver.resolveFile(name) :
+                        null;
+                } catch (err) {
+                    fileName = null;
+                }
+                if (fileName &&
+                    (fileName.split(path.sep).indexOf('node_modules') === -1)) {
+                    fileNames[fileName] = (fileNames[fileName] || [])
+                        .concat(name);
+                }
+            });
+            Object.keys(fileNames).forEach(function(x) {
+                try {
+                    watchers[x] = fs.watch(x, {persistent: false}, function() {
+                        onChange(x);
+                    });
+                    watchers[x].on('error', function(err) {
+                        $._.$.log && $._.$.log.debug('Watcher: ignoring ' +
+                                                     x + ' error: ' +
+                                                     err.message);
+                    });
+                } catch (err) {
+                    $._.$.log && $._.$.log.debug('Watcher: cannot watch ' +
+                                                 x + ': ' + err.message);
+                }
+            });
+        };
+
+        /*
+         * Restarts, in depth-first order, the children with a changed
+         * implementation, skipping the subtrees in `skip`.
+         */
+        const restartChanged = function(container, prefix, modules, skip,
+                                        restarted, cb) {
+            if ((typeof container.__ca_getChildrenSpec__ !== 'function') ||
+                (typeof container.__ca_restartChild__ !== 'function')) {
+                cb(null);
+                return;
+            }
+            async.eachSeries(container.__ca_getChildrenSpec__(),
+                             function(x, cb0) {
+                                 const childPath = prefix ?
+                                     prefix + '/' + x.name :
+                                     x.name;
+                                 if (skip[childPath]) {
+                                     cb0(null);
+                                 } else if (modules[x.module.split('#')[0]]) {
+                                     restarted.push(childPath);
+                                     container.__ca_restartChild__(null,
+                                                                   x.name,
+                                                                   cb0);
+                                 } else if (container.$[x.name]) {
+                                     restartChanged(container.$[x.name],
+                                                    childPath, modules, skip,
+                                                    restarted, cb0);
+                                 } else {
+                                     cb0(null);
+                                 }
+                             }, cb);
+        };
+
+        /**
+         * Reloads changed descriptions or implementations.
+         *
+         * Changes are typically detected by watching files, but this method
+         * can also be called directly.
+         *
+         * @param {Array.<string>} names Names of the changed artifacts as in
+         * `__ca_getModuleIndex__`, e.g., `./hello.json` or `./helloImpl`.
+         * @param {cbType=} cb A callback to return an error, or an object of
+         * type `{changes: reconfigureChangesType|null, restarted:
+         * Array.<string>}` with the reconfiguration changes of the top
+         * container, and the paths of the components restarted with a new
+         * implementation, e.g., `h2/h21`. If missing, it returns a promise
+         * with the equivalent array tuple `[err, data]`.
+         *
+         * @return {Promise.<Array.<Object>>=} An optional promise that
+         * resolves to an array tuple `[err, data]` when the callback is
+         * missing.
+         *
+         * @function
+         * @memberof! module:caf_components/plug_watch#
+         * @alias __ca_reload__
+         */
+        that.__ca_reload__ = myUtils.condPromisify(function(names, cb) {
+            if (reloading || that.__ca_isShutdown__) {
+                const err = new Error('Watcher: cannot reload' +
+                                      (reloading ?
+                                          ', already reloading' :
+                                          ', already shutdown'));
+                cb(err);
+                return;
+            }
+            reloading = true;
+            const result = {changes: null, restarted: []};
+            const modules = {};
+            names.forEach(function(x) {
+                loader.__ca_invalidate__(x);
+                modules[x] = true;
+            });
+            async.series([
+                function(cb0) {
+                    if (typeof $._.__ca_reconfigure__ !== 'function') {
+                        cb0(null);
+                        return;
+                    }
+                    let desc = null;
+                    try {
+                        desc = loader.__ca_loadDescription__(
+                            spec.env.fileName, true, spec.env.delta || null,
+                            {profile: spec.env.profile}
+                        );
+                    } catch (err) {
+                        cb0(err);
+                        return;
+                    }
+                    $._.__ca_reconfigure__(null, desc, function(err, changes) {
+                        result.changes = changes || null;
+                        cb0(err);
+                    });
+                },
+                function(cb0) {
+                    const top = $._.__ca_getSpec__();
+                    if (modules[top.module.split('#')[0]]) {
+                        $._.$.log && $._.$.log.warn('Watcher: cannot ' +
+                                                    'restart top component ' +
+                                                    top.name);
+                    }
+                    const skip = {};
+                    if (result.changes) {
+                        result.changes.added.concat(result.changes.restarted)
+                            .forEach(function(x) { skip[x] = true; });
+                    }
+                    restartChanged($._, null, modules, skip, result.restarted,
+                                   cb0);
+                }
+            ], function(err) {
+                reloading = false;
+                that.__ca_isShutdown__ || watchAll();
+                cb(err, result);
+            });
+        });
+
+        /**
+         * Gets the names of the watched files.
+         *
+         * @return {Array.<string>} Absolute paths of the watched files.
+         *
+         * @memberof! module:caf_components/plug_watch#
+         * @alias __ca_getWatched__
+         */
+        that.__ca_getWatched__ = function() {
+            return Object.keys(watchers);
+        };
+
+        const onTopEvent = function(event) {
+            if ((event.type === containerUtils.EVENTS.SHUTDOWN_COMPLETED) &&
+                $._.__ca_isShutdown__) {
+                that.__ca_shutdown__(null, function() {});
+            }
+        };
+
+        $._.__ca_subscribe__ && $._.__ca_subscribe__(onTopEvent);
+
+        const super__ca_shutdown__ = myUtils.superior(that, '__ca_shutdown__');
+        that.__ca_shutdown__ = myUtils.condPromisify(function(data, cb) {
+            super__ca_shutdown__(data, function(err) {
+                timer && clearTimeout(timer);
+                timer = null;
+                unwatchAll();
+                $._.__ca_unsubscribe__ && $._.__ca_unsubscribe__(onTopEvent);
+                if ($[spec.name] === that) {
+                    delete $[spec.name];
+                }
+                cb(err);
+            });
+        });
+
+        watchAll();
+
+        return [null, that];
+    } catch (err) {
+        return [err];
+    }
+};
@@ -0,0 +1,339 @@
+/*!
+Copyright 2020 Caf.js Labs and contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+'use strict';
+
+/**
+ * Resource resolvers for the loader.
+ *
+ * A resolver finds descriptions and implementations by name, and it has
+ * type `resolverType`:
+ *
+ *      { id: string, type: string, require: function(string): any,
+ *        resolveFile=: function(string): string,
+ *        importModule=: function(string, number=): Promise<Object>,
+ *        root=: string}
+ *
+ * where `id` identifies the resolver, `type` is its kind, e.g., `module` or
+ * `memory`, and `require` returns a loaded artifact, throwing an error with
+ * `code` `MODULE_NOT_FOUND` if missing. Descriptions are objects, or strings
+ * parsed by the loader with the parser of its extension.
+ *
+ * File based resolvers also implement `resolveFile`, that returns the
+ * absolute path of an artifact, so that the loader can parse descriptions,
+ * `importModule`, that loads an ES module with `import()`, and `root`, the
+ * base directory of the application. The optional `version` argument of
+ * `importModule` bypasses the ES module cache, which cannot be cleared, by
+ * adding a query to the module URL.
+ *
+ * A `module` object, as used in {@link module:caf_components/gen_loader},
+ * is wrapped with `moduleResolver`.
+ *
+ * @module caf_components/resolvers
+ */
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const url = require('url');
+
+const notFound = function(name, id) {
+    const err = new Error("Cannot find '" + name + "' with resolver " + id);
+    err['code'] = 'MODULE_NOT_FOUND';
+    return err;
+};
+
+// Export conditions for `import()`, in order of preference
+const IMPORT_CONDITIONS = ['import', 'node', 'default'];
+
+/*
+ * Finds the target of a package `exports` entry with `import()` conditions,
+ * or `null` if none.
+ */
+const exportTarget = function(entry) {
+    if (typeof entry === 'string') {
+        return entry;
+    } else if (Array.isArray(entry)) {
+        return entry.map(exportTarget).find(function(x) {
+            return typeof x === 'string';
+        }) || null;
+    } else if (entry && (typeof entry === 'object')) {
+        const key = IMPORT_CONDITIONS.find(function(x) {
+            return Object.prototype.hasOwnProperty.call(entry, x);
+        });
+        return key ? exportTarget(entry[key]) : null;
+    } else {
+        return null;
+    }
+};
+
+/*
+ * Resolves a package name with `import()` conditions, e.g., an ES module
+ * package without a `require` export, looking for the package in the
+ * directories `paths`. Subpath patterns are not supported.
+ *
+ * Returns the file name, or `null` if not found.
+ */
+const resolvePackage = function(paths, name) {
+    if ((name.indexOf('.') === 0) || path.isAbsolute(name)) {
+        return null;
+    }
+    const parts = name.split('/');
+    const pkgName = parts.slice(0, (name.indexOf('@') === 0) ? 2 : 1)
+        .join('/');
+    const subpath = '.' + name.substring(pkgName.length);
+    let result = null;
+    paths.some(function(dir) {
+        const pkgDir = path.join(dir, pkgName);
+        let pkg = null;
+        try {
+            pkg = JSON.parse(fs.readFileSync(path.join(pkgDir,
+                                                       'package.json'),
+                                             'utf8'));
+        } catch (err) {
+            return false;
+        }
+        let exp = pkg.exports;
+        if (!exp || (typeof exp !== 'object') || Array.isArray(exp) ||
+            Object.keys(exp).every(function(x) {
+                return x.indexOf('.') !== 0;
+            })) {
+            exp = {'.': exp};
+        }
+        const target = Object.prototype.hasOwnProperty.call(exp, subpath) ?
+            exportTarget(exp[subpath]) :
+            null;
+        result = target ? path.join(pkgDir, target) : null;
+        return true; // the first package found wins
+    });
+    return result;
+};
+
+/*
+ * Imports an ES module with the file name found by `resolve`.
+ *
+ * Packages that `resolve` cannot find, e.g., ES module packages without a
+ * `require` export condition, are resolved with `import()` conditions in
+ * the directories returned by `paths`, see `require.resolve.paths`. A
+ * `version` is added as a query to the file URL, forcing a fresh import.
+ */
+const importFrom = function(resolve, paths, name, version) {
+    let fileName = null;
+    try {
+        fileName = resolve(name);
+    } catch (err) {
+        fileName = resolvePackage(paths(name) || [], name);
+        if (!fileName) {
+            return Promise.reject(err);
+        }
+    }
+    let target = url.pathToFileURL(fileName).href;
+    if (version) {
+        target = target + '?v=' + version;
+    }
+    return import(target);
+};
+
+/**
+ * Checks whether an object is a resolver, as opposed to a `module` object.
+ *
+ * @param {Object} obj An object to check.
+ * @return {boolean} True if `obj` is a resolver.
+ *
+ * @memberof! module:caf_components/resolvers
+ * @alias isResolver
+ */
+exports.isResolver = function(obj) {
+    return !!obj && (typeof obj.type === 'string') &&
+        (typeof obj.id === 'string') && (typeof obj.require === 'function');
+};
+
+/**
+ * Creates a resolver that uses a `module` object, i.e., its `require`
+ * method.
+ *
+ * Packages typically export their `module` in a static method `getModule`.
+ *
+ * @param {Object} mod A `module` object.
+ * @return {resolverType} A resolver with the same `id` as `mod`.
+ *
+ * @memberof! module:caf_components/resolvers
+ * @alias moduleResolver
+ */
+exports.moduleResolver = function(mod) {
+    assert.equal(typeof mod.require, 'function', "'mod' is not a module");
+    const result = {
+        id: mod.id,
+        type: 'module',
+        require: function(name) {
+            return mod.require(name);
+        }
+    };
+    if (typeof mod.filename === 'string') {
+        const req = Module.createRequire(mod.filename);
+        result.resolveFile = function(name) {
+            return req.resolve(name);
+        };
+        result.importModule = function(name, version) {
+            return importFrom(req.resolve, req.resolve.paths, name, version);
+        };
+    }
+    if (Array.isArray(mod.paths) && (mod.paths.length > 0)) {
+        result.root = path.resolve(mod.paths[0], '..');
+    }
+    return result;
+};
+
+/**
+ * Creates a resolver that searches a list of directories, in order.
+ *
+ * Relative names, e.g., `./hello.json`, are relative to each directory,
+ * and package names are resolved with the `node_modules` of that directory.
+ *
+ * @param {Array.<string>} dirs A list of directories.
+ * @return {resolverType} A resolver.
+ *
+ * @memberof! module:caf_components/resolvers
+ * @alias dirsResolver
+ */
+exports.dirsResolver = function(dirs) {
+    assert.ok(Array.isArray(dirs) && (dirs.length > 0),
+              "'dirs' is not a non-empty array");
+    const id = 'dirs:' + dirs.join(path.delimiter);
+    const reqs = dirs.map(function(dir) {
+        return Module.createRequire(path.join(path.resolve(dir), path.sep));
+    });
+    const find = function(name) {
+        /** @type {{req: function(string):any, fileName: string}|null} */
+        let result = null;
+        let exportError = null;
+        reqs.some(function(req) {
+            try {
+                result = {req: req, fileName: req.resolve(name)};
+                return true;
+            } catch (err) {
+                if (err.code === 'ERR_PACKAGE_PATH_NOT_EXPORTED') {
+                    // found, but it cannot be loaded with `require`
+                    exportError = exportError || err;
+                }
+                return false;
+            }
+        });
+        if (!result) {
+            throw exportError || notFound(name, id);
+        }
+        return result;
+    };
+    return {
+        id: id,
+        type: 'dirs',
+        root: path.resolve(dirs[0]),
+        resolveFile: function(name) {
+            return find(name).fileName;
+        },
+        require: function(name) {
+            const found = find(name);
+            return found.req(found.fileName);
+        },
+        importModule: function(name, version) {
+            return importFrom(function(x) { return find(x).fileName;},
+                              function(x) {
+                                  return reqs.reduce(function(acc, req) {
+                                      return acc.concat(
+                                          req.resolve.paths(x) || []
+                                      );
+                                  }, []);
+                              }, name, version);
+        }
+    };
+};
+
+/**
+ * Creates a resolver with a map of in-memory artifacts.
+ *
+ * Descriptions can be objects, or strings to be parsed, e.g., YAML.
+ *
+ * @param {Object<string, any>} artifacts A map from names, e.g.,
+ * `./hello.json` or `./helloImpl`, to artifacts.
+ * @param {string=} id An optional identifier. It defaults to `memory`.
+ * @return {resolverType} A resolver.
+ *
+ * @memberof! module:caf_components/resolvers
+ * @alias memoryResolver
+ */
+exports.memoryResolver = function(artifacts, id) {
+    id = id || 'memory';
+    return {
+        id: id,
+        type: 'memory',
+        require: function(name) {
+            if (Object.prototype.hasOwnProperty.call(artifacts, name)) {
+                return artifacts[name];
+            } else {
+                throw notFound(name, id);
+            }
+        }
+    };
+};
+
+/**
+ * Creates a resolver for a configuration store, e.g., a stand-in for a
+ * remote key-value store.
+ *
+ * The store has a synchronous method `get(name)`, returning `undefined` if
+ * missing, e.g., a `Map`. Values are typically description strings.
+ *
+ * @param {{get: function(string):any}} store A configuration store.
+ * @param {string=} id An optional identifier. It defaults to `store`.
+ * @return {resolverType} A resolver.
+ *
+ * @memberof! module:caf_components/resolvers
+ * @alias storeResolver
+ */
+exports.storeResolver = function(store, id) {
+    assert.equal(typeof store.get, 'function', "'store' has no 'get'");
+    id = id || 'store';
+    return {
+        id: id,
+        type: 'store',
+        require: function(name) {
+            const result = store.get(name);
+            if (result === undefined) {
+                throw notFound(name, id);
+            } else {
+                return result;
+            }
+        }
+    };
+};
+
+/**
+ * Creates a resolver with already loaded artifacts, bypassing `require`.
+ *
+ * This enables tools like `browserify` that cannot dynamically load
+ * resources. See `__ca_setStaticArtifacts__` in
+ * {@link module:caf_components/gen_loader}.
+ *
+ * @param {Object<string, any>} artifacts A map from names to artifacts.
+ * @return {resolverType} A resolver.
+ *
+ * @memberof! module:caf_components/resolvers
+ * @alias staticResolver
+ */
+exports.staticResolver = function(artifacts) {
+    const result = exports.memoryResolver(artifacts, 'static');
+    result.type = 'static';
+    return result;
+};
@@ -0,0 +1,258 @@
+/*!
+Copyright 2020 Caf.js Labs and contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+'use strict';
+
+/**
+ * Functions to validate component descriptions with JSON Schema.
+ *
+ * We only support a subset of JSON Schema, enough to describe the
+ * properties in `env`:
+ *
+ *      { type=: string | Array.<string>, enum=: Array, required=:
+ *        Array.<string>, properties=: Object<string, schemaType>,
+ *        additionalProperties=: boolean | schemaType, items=: schemaType,
+ *        minimum=: number, maximum=: number, minLength=: number,
+ *        pattern=: string, anyOf=: Array.<schemaType>}
+ *
+ * where `type` is one of `string`, `number`, `integer`, `boolean`,
+ * `object`, `array` or `null`.
+ *
+ * Validation does not stop at the first error, it collects all the
+ * violations, and reports them with their JSON path, e.g.,
+ * `$.components[1].env.maxRetries`.
+ *
+ * Components export the schema for their `env` in the property
+ * `envSchema` of the module that implements `newInstance`.
+ *
+ * @module caf_components/schemaUtils
+ */
+
+/**
+ * Schema for the properties of every component description.
+ *
+ * @type {schemaType}
+ *
+ * @memberof! module:caf_components/schemaUtils
+ * @alias DESCRIPTION_SCHEMA
+ */
+const DESCRIPTION_SCHEMA = exports.DESCRIPTION_SCHEMA = {
+    type: 'object',
+    required: ['name', 'module', 'env'],
+    properties: {
+        name: {type: 'string', minLength: 1},
+        module: {type: 'string', minLength: 1},
+        description: {type: 'string'},
+        env: {
+            type: 'object',
+            properties: {
+                __ca_timeouts__: {
+                    type: 'object',
+                    properties: {
+                        create: {type: 'number', minimum: 0},
+                        checkup: {type: 'number', minimum: 0},
+                        shutdown: {type: 'number', minimum: 0}
+                    },
+                    additionalProperties: false
+                }
+            }
+        },
+        components: {type: 'array', items: {type: 'object'}},
+        dependsOn: {type: 'array', items: {type: 'string'}}
+    }
+};
+
+const typeOf = function(value) {
+    if (value === null) {
+        return 'null';
+    } else if (Array.isArray(value)) {
+        return 'array';
+    } else {
+        return typeof value;
+    }
+};
+
+const hasType = function(value, type) {
+    if (type === 'integer') {
+        return Number.isInteger(value);
+    } else if (type === 'number') {
+        return (typeof value === 'number') && !isNaN(value);
+    } else {
+        return typeOf(value) === type;
+    }
+};
+
+const propPath = function(path, key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ?
+        path + '.' + key :
+        path + '[' + JSON.stringify(key) + ']';
+};
+
+const validateImpl = function(schema, value, path, errors) {
+    const addError = function(message) {
+        errors.push({path: path, message: message});
+    };
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(function(t) { return hasType(value, t);})) {
+            addError('is not of type ' + types.join(' or '));
+            return;
+        }
+    }
+
+    if (Array.isArray(schema.enum) &&
+        !schema.enum.some(function(x) { return x === value;})) {
+        addError('is not one of ' + JSON.stringify(schema.enum));
+    }
+
+    if (Array.isArray(schema.anyOf)) {
+        const ok = schema.anyOf.some(function(x) {
+            const err = [];
+            validateImpl(x, value, path, err);
+            return (err.length === 0);
+        });
+        ok || addError('does not match any schema in anyOf');
+    }
+
+    if (typeof value === 'number') {
+        (typeof schema.minimum === 'number') && (value < schema.minimum) &&
+            addError('is less than ' + schema.minimum);
+        (typeof schema.maximum === 'number') && (value > schema.maximum) &&
+            addError('is greater than ' + schema.maximum);
+    }
+
+    if (typeof value === 'string') {
+        (typeof schema.minLength === 'number') &&
+            (value.length < schema.minLength) &&
+            addError('is shorter than ' + schema.minLength);
+        (typeof schema.pattern === 'string') &&
+            !(new RegExp(schema.pattern)).test(value) &&
+            addError('does not match pattern ' + schema.pattern);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach(function(x, i) {
+            validateImpl(schema.items, x, path + '[' + i + ']', errors);
+        });
+    }
+
+    if (typeOf(value) === 'object') {
+        const props = schema.properties || {};
+        (schema.required || []).forEach(function(key) {
+            (value[key] === undefined) &&
+                errors.push({path: propPath(path, key),
+                             message: 'is required'});
+        });
+        Object.keys(value).forEach(function(key) {
+            if (value[key] === undefined) {
+                return;
+            }
+            if (props[key]) {
+                validateImpl(props[key], value[key], propPath(path, key),
+                             errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({path: propPath(path, key),
+                             message: 'is not allowed'});
+            } else if (schema.additionalProperties &&
+                       (typeof schema.additionalProperties === 'object')) {
+                validateImpl(schema.additionalProperties, value[key],
+                             propPath(path, key), errors);
+            }
+        });
+    }
+};
+
+const validate =
+/**
+ * Validates a value with a schema.
+ *
+ * @param {schemaType} schema A schema for the value.
+ * @param {any} value A value to validate.
+ * @param {string=} path An optional JSON path for `value`. It defaults to `$`.
+ *
+ * @return {Array.<validationErrorType>} All the violations found, or an
+ * empty array if `value` is valid.
+ *
+ * @memberof! module:caf_components/schemaUtils
+ * @alias validate
+ */
+exports.validate = function(schema, value, path) {
+    const errors = [];
+    validateImpl(schema, value, path || '$', errors);
+    return errors;
+};
+
+const newValidationError =
+/**
+ * Creates an error object that summarizes a list of violations.
+ *
+ * @param {Array.<validationErrorType>} errors A non-empty list of violations.
+ * @param {string=} name An optional name of the invalid description.
+ *
+ * @return {Error} An error with an `errors` property listing the violations.
+ *
+ * @memberof! module:caf_components/schemaUtils
+ * @alias newValidationError
+ */
+exports.newValidationError = function(errors, name) {
+    const msg = 'Invalid description' + (name ? ' ' + name : '') + ': ' +
+        errors.map(function(x) { return x.path + ' ' + x.message;})
+            .join(', ');
+    const err = new Error(msg);
+    err['errors'] = errors;
+    return err;
+};
+
+/**
+ * Validates the `env` of a description, throwing an error with all the
+ * violations.
+ *
+ * @param {schemaType} schema A schema for `spec.env`.
+ * @param {specType} spec A component description.
+ *
+ * @throws {Error} If `spec.env` is not valid. The property `errors` of the
+ * error contains all the violations.
+ *
+ * @memberof! module:caf_components/schemaUtils
+ * @alias assertEnv
+ */
+exports.assertEnv = function(schema, spec) {
+    const errors = validate(schema, spec.env, '$.env');
+    if (errors.length > 0) {
+        throw newValidationError(errors, spec.name);
+    }
+};
+
+/**
+ * Validates the description of a component, ignoring its children.
+ *
+ * @param {specType} spec A component description.
+ * @param {schemaType|null} envSchema An optional schema for `spec.env`.
+ * @param {string} path A JSON path for `spec`.
+ *
+ * @return {Array.<validationErrorType>} All the violations found.
+ *
+ * @memberof! module:caf_components/schemaUtils
+ * @alias validateDescription
+ */
+exports.validateDescription = function(spec, envSchema, path) {
+    const errors = validate(DESCRIPTION_SCHEMA, spec, path);
+    if (envSchema && spec && (typeOf(spec.env) === 'object')) {
+        return errors.concat(validate(envSchema, spec.env, path + '.env'));
+    } else {
+        return errors;
+    }
+};
@@ -29,6 +29,18 @@
 const gen_sup = require('./gen_supervisor');
 const myUtils = require('./myUtils');
 
+/**
+ * Schema for the `env` properties of a supervisor.
+ *
+ * See {@link module:caf_components/gen_supervisor}.
+ *
+ * @type {schemaType}
+ *
+ * @memberof! module:caf_components/supervisor
+ * @alias envSchema
+ */
+exports.envSchema = gen_sup.envSchema;
+
 /**
  * Factory method to create a supervisor component.
  *
@@ -49,9 +61,11 @@ exports.newInstance = async function($, spec) {
                 /* eslint-disable */
                 console.log('Top error:' + myUtils.errToPrettyStr(err));
                 /* eslint-enable */
-            } else {
-                $._.$.log && $._.$.log.trace('Check OK:' +
-                                             JSON.stringify(res));
+            } else if ($._.$.log && $._.$.log.isActive('TRACE')) {
+                // walking the tree for the status is not free
+                $._.$.log.trace('Check OK:' +
+                                JSON.stringify(myUtils.redact(res)) +
+                                ' status:' + that.__ca_getHealth__().status);
             }
         };
 
@@ -22,7 +22,8 @@
  * A parsed description has a type `specType`:
  *
  *      { name: string, module: string | null, description=: string,
- *        env: Object, components=: Array.<specType>}
+ *        env: Object, components=: Array.<specType>,
+ *        dependsOn=: Array.<string>}
  *
  * Merging template `B` into `A` starts at the top and uses the following
  *  rules:
@@ -31,7 +32,7 @@
  * an error if `overrideName` is disabled, otherwise change `A.name`.
  *
  * 2. To merge two components with the same name, if `B.module === null`
- * then delete `A`. Otherwise, change `A.module`,
+ * then delete `A`. Otherwise, change `A.module` and `A.dependsOn`,
  * merge the `env` properties, and finally, merge array `B.components` into
  * `A.components`.
  *
@@ -45,23 +46,86 @@
  *  last remembered position. If none was remembered, `X` becomes the first
  *  element in the array. In both cases, remember the new `X` position.
  *
+ * 4. Entries in `B.components` can also use explicit directives, that are
+ * removed from the result:
+ *      1. `before: string` or `after: string`: place `X`, merged or
+ * inserted, just before or after the sibling with that name, moving it if
+ * it already existed. Remember the new `X` position. It throws if the
+ * sibling is missing.
+ *      2. `replace: true`: replace `Y` by `X` instead of merging them.
+ *
+ * 5. Merging `env` properties is shallow by default, i.e., a value in `B`
+ * replaces the one in `A`. Nested objects are merged recursively when the
+ * entry (or an ancestor) sets `envMerge: 'deep'`, or the object contains
+ * `__ca_merge__: 'deep'`. A value `'__ca_delete__'` removes the property,
+ * and an array wrapped as `{__ca_array__: 'append' | 'replace' |
+ * 'mergeByKey', key=: string, value: Array}` chooses how arrays combine.
+ *
  * Merge always clones first, leaving the original descriptions unmodified.
  *
+ * Conversely, `delta` computes a minimal delta that `merge` would apply to
+ * obtain a target description, and `diff` lists the changes between two
+ * descriptions.
+ *
  * @module caf_components/templateUtils
  */
 const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
 
 const naming = require('./naming');
 const myUtils = require('./myUtils');
 
+/*
+ * Properties of a delta entry that change how it is merged, and are removed
+ * from the result.
+ */
+const DIRECTIVES = ['before', 'after', 'replace', 'envMerge'];
+
+const checkDirectives = function(x) {
+    if (x.before && x.after) {
+        const err = new Error('mergeComponents: both before and after in ' +
+                              x.name);
+        err['delta'] = x;
+        throw err;
+    }
+    if ((x.before === x.name) || (x.after === x.name)) {
+        const err = new Error('mergeComponents: ' + x.name +
+                              ' positioned relative to itself');
+        err['delta'] = x;
+        throw err;
+    }
+};
+
+/*
+ * Clones a delta entry, removing all the directives and `env` markers.
+ *
+ * @param {specDeltaType} x
+ * @return {specType}
+ */
+const cleanEntry = function(x) {
+    const result = myUtils.deepClone(x);
+    const clean = function(desc) {
+        DIRECTIVES.forEach(function(key) { delete desc[key];});
+        if (desc.env) {
+            desc.env = mergeEnv({}, desc.env, false);
+        }
+        (desc.components || []).forEach(clean);
+    };
+    clean(result);
+    return result;
+};
+
 /**
  * Merge two component arrays of matching components.
  *
  * @param {Array.<specType>} template
  * @param {Array.<specDeltaType>} delta
+ * @param {string=} envMerge The inherited `env` merge mode, i.e., `deep` or
+ * `shallow`.
  * @return {Array.<specType>} result
  */
-const mergeComponents = function(template, delta) {
+const mergeComponents = function(template, delta, envMerge) {
 
     assert.ok(Array.isArray(template), "'template' is not an array");
     assert.ok(Array.isArray(delta), "'delta' is not an array");
@@ -86,6 +150,10 @@ const mergeComponents = function(template, delta) {
      *     Touch B (just have an entry with B's name that won't change B)
      *     Add A with the original A's values (inserted after B)
      *
+     *  or, with an explicit directive, just one:
+     *
+     *     Touch A with `after: B` (moves A after B)
+     *
      */
 
     const findEntry = function(result, name, lastOp) {
@@ -112,34 +180,147 @@ const mergeComponents = function(template, delta) {
         result.splice(lastOp.index, 0, entry);
     };
 
+    const placeEntry = function(result, entry, x, lastOp) {
+        const sibling = x.before || x.after;
+        const index = result.findIndex(function(y) {
+            return y.name === sibling;
+        });
+        if (index < 0) {
+            const err = new Error('mergeComponents: missing sibling ' +
+                                  sibling + ' for ' + x.name);
+            err['delta'] = x;
+            throw err;
+        }
+        lastOp.index = x.after ? index + 1 : index;
+        result.splice(lastOp.index, 0, entry);
+    };
+
     const result = myUtils.deepClone(template);
     const lastOp = {index: -1};
     delta.forEach(function(x) {
+        checkDirectives(x);
+        const isPlaced = !!(x.before || x.after);
         if (x.module === null) {
             deleteEntry(result, x.name, lastOp);
         } else if (findEntry(result, x.name, lastOp)) {
-            result[lastOp.index] = mergeObj(result[lastOp.index], x, false);
+            const entry = x.replace ?
+                cleanEntry(x) :
+                mergeObj(result[lastOp.index], x, false, envMerge);
+            if (isPlaced) {
+                result.splice(lastOp.index, 1);
+                placeEntry(result, entry, x, lastOp);
+            } else {
+                result[lastOp.index] = entry;
+            }
+        } else if (isPlaced) {
+            placeEntry(result, cleanEntry(x), x, lastOp);
         } else {
-            insertEntry(result, myUtils.deepClone(x), lastOp);
+            insertEntry(result, cleanEntry(x), lastOp);
         }
     });
     return result;
 };
 
+const isObject = function(x) {
+    return (x !== null) && (typeof x === 'object') && !Array.isArray(x);
+};
+
+// Marks a deleted property
+const DELETED = {};
+
+/*
+ * Merges a template array with a delta array wrapped in
+ * `{__ca_array__: string, value: Array, key=: string}`.
+ */
+const mergeArray = function(template, wrapper) {
+    const strategy = wrapper[naming.ENV_ARRAY];
+    const items = wrapper.value;
+    if (!Array.isArray(items)) {
+        const err = new Error('mergeArray: value is not an array');
+        err['delta'] = wrapper;
+        throw err;
+    }
+    const clean = function(x) { return mergeValue(undefined, x, false);};
+    const old = Array.isArray(template) ? myUtils.deepClone(template) : [];
+    if (strategy === 'replace') {
+        return items.map(clean);
+    } else if (strategy === 'append') {
+        return old.concat(items.map(clean));
+    } else if (strategy === 'mergeByKey') {
+        const key = wrapper.key || 'name';
+        items.forEach(function(x) {
+            const index = old.findIndex(function(y) {
+                return isObject(y) && isObject(x) && (y[key] === x[key]);
+            });
+            if (index < 0) {
+                old.push(clean(x));
+            } else {
+                old[index] = mergeValue(old[index], x, true);
+            }
+        });
+        return old;
+    } else {
+        const err = new Error('mergeArray: unknown strategy ' + strategy);
+        err['delta'] = wrapper;
+        throw err;
+    }
+};
+
+/*
+ * Merges a template value with a delta value, returning `DELETED` if the
+ * property should be deleted.
+ */
+const mergeValue = function(template, delta, deep) {
+    if (delta === naming.ENV_DELETE) {
+        return DELETED;
+    } else if (isObject(delta) && (delta[naming.ENV_ARRAY] !== undefined)) {
+        return mergeArray(template, delta);
+    } else if (isObject(delta)) {
+        const isDeep = deep || (delta[naming.ENV_MERGE_MARKER] === 'deep');
+        const result = (isDeep && isObject(template)) ?
+            myUtils.deepClone(template) :
+            {};
+        Object.keys(delta).forEach(function(x) {
+            if (x !== naming.ENV_MERGE_MARKER) {
+                const value = mergeValue(result[x], delta[x], isDeep);
+                if (value === DELETED) {
+                    delete result[x];
+                } else {
+                    result[x] = value;
+                }
+            }
+        });
+        return result;
+    } else if (Array.isArray(delta)) {
+        return delta.map(function(x) {
+            return mergeValue(undefined, x, false);
+        });
+    } else {
+        return delta;
+    }
+};
+
 /**
  * Merge two environments of matching components.
  *
  * @param {Object} template
  * @param {Object} delta
+ * @param {boolean} deep True if nested objects should be merged, false if
+ * replaced.
  * @return {Object} result
  */
-const mergeEnv = function(template, delta) {
+const mergeEnv = function(template, delta, deep) {
     assert.equal(typeof(template), 'object', "'template' is not an object");
     assert.equal(typeof(delta), 'object', "'delta' is not an object");
 
     const result = myUtils.deepClone(template);
     Object.keys(delta).forEach(function(x) {
-        result[x] = myUtils.deepClone(delta[x]);
+        const value = mergeValue(result[x], delta[x], deep);
+        if (value === DELETED) {
+            delete result[x];
+        } else {
+            result[x] = value;
+        }
     });
     return result;
 };
@@ -151,10 +332,12 @@ const mergeEnv = function(template, delta) {
  * @param {specType} template
  * @param {specDeltaType} delta
  * @param {boolean} overrideName
+ * @param {string=} envMerge The inherited `env` merge mode, i.e., `deep` or
+ * `shallow`.
  * @return {specType} result
  *
  */
-const mergeObj = function(template, delta, overrideName) {
+const mergeObj = function(template, delta, overrideName, envMerge) {
     if (template.name !== delta.name) {
         if (!overrideName) {
             const err = new Error('mergeObj: description names do not match');
@@ -164,6 +347,8 @@ const mergeObj = function(template, delta, overrideName) {
         }
     }
 
+    envMerge = delta.envMerge || envMerge;
+
     /** @type specType*/
     const result = {
         name: delta.name || template.name,
@@ -171,12 +356,17 @@ const mergeObj = function(template, delta, overrideName) {
         description: delta.description ?
             delta.description :
             template.description,
-        env: mergeEnv(template.env, delta.env || {})
+        env: mergeEnv(template.env, delta.env || {}, envMerge === 'deep')
     };
 
+    const dependsOn = delta.dependsOn || template.dependsOn;
+    if (dependsOn) {
+        result.dependsOn = myUtils.clone(dependsOn);
+    }
+
     if (template.components || delta.components) {
         result.components = mergeComponents(template.components || [],
-                                            delta.components || []);
+                                            delta.components || [], envMerge);
     }
     return result;
 };
@@ -191,7 +381,8 @@ const mergeObj = function(template, delta, overrideName) {
  *
  * @param {specType} template A target parsed description.
  * @param {specDeltaType|null} delta Description with changes to apply to
- * `template`. A missing `delta` just clones `template`.
+ * `template`. A missing `delta` just clones `template`, removing its
+ * directives and `env` markers, e.g., `__ca_merge__` or `__ca_array__`.
  * @param {boolean} overrideName True if we allow changing the name of the
  * top level component, false if names in `template` and `delta` should match.
  *
@@ -205,20 +396,422 @@ const mergeObj = function(template, delta, overrideName) {
  */
 exports.merge = function(template, delta, overrideName) {
     delta = delta || {name: template.name};
-    return mergeObj(template, delta, overrideName);
+    // markers in `template`, e.g., a base description, are also removed
+    return mergeObj(cleanEntry(template), delta, overrideName);
+};
+
+/*
+ * Longest common subsequence of two arrays of names.
+ *
+ * Ties are broken by choosing more names with a `preferred` weight of 1,
+ * e.g., names that did not change their position.
+ *
+ * @param {Array.<string>} a
+ * @param {Array.<string>} b
+ * @param {function(string): number=} preferred An optional weight, 0 or 1,
+ * for each name.
+ * @return {Array.<string>} A longest subsequence common to `a` and `b`.
+ */
+const lcs = function(a, b, preferred) {
+    const scale = a.length + 1; // length first, then preferred names
+    /** @type {Array.<Array.<number>>} */
+    const table = [];
+    for (let i = 0; i <= a.length; i++) {
+        table[i] = [];
+        for (let j = 0; j <= b.length; j++) {
+            if ((i === 0) || (j === 0)) {
+                table[i][j] = 0;
+            } else if (a[i-1] === b[j-1]) {
+                table[i][j] = table[i-1][j-1] + scale +
+                    (preferred ? preferred(a[i-1]) : 0);
+            } else {
+                table[i][j] = Math.max(table[i-1][j], table[i][j-1]);
+            }
+        }
+    }
+    const result = [];
+    let i = a.length;
+    let j = b.length;
+    while ((i > 0) && (j > 0)) {
+        if (a[i-1] === b[j-1]) {
+            result.unshift(a[i-1]);
+            i = i - 1;
+            j = j - 1;
+        } else if (table[i-1][j] >= table[i][j-1]) {
+            i = i - 1;
+        } else {
+            j = j - 1;
+        }
+    }
+    return result;
+};
+
+const names = function(components) {
+    return (components || []).map(function(x) { return x.name;});
+};
+
+const toMap = function(components) {
+    const result = {};
+    (components || []).forEach(function(x) { result[x.name] = x;});
+    return result;
+};
+
+/*
+ * Compares two descriptions with the same name, adding the changes.
+ *
+ * @param {specType} oldDesc
+ * @param {specType} newDesc
+ * @param {string} path
+ * @param {Array.<descChangeType>} changes
+ */
+const diffObj = function(oldDesc, newDesc, path, changes) {
+    const addChange = function(op, props) {
+        changes.push(myUtils.mixin({op: op, path: path}, props));
+    };
+
+    ['module', 'description', 'dependsOn'].forEach(function(key) {
+        if (!myUtils.deepStrictEqual(oldDesc[key], newDesc[key])) {
+            addChange(key, {
+                oldValue: myUtils.deepClone(oldDesc[key]),
+                newValue: myUtils.deepClone(newDesc[key])
+            });
+        }
+    });
+
+    const oldEnv = oldDesc.env || {};
+    const newEnv = newDesc.env || {};
+    const keys = Object.keys(oldEnv).concat(
+        Object.keys(newEnv).filter(function(x) {
+            return !Object.prototype.hasOwnProperty.call(oldEnv, x);
+        })
+    );
+    keys.forEach(function(key) {
+        if (!myUtils.deepStrictEqual(oldEnv[key], newEnv[key])) {
+            addChange('env', {
+                key: key,
+                oldValue: myUtils.deepClone(oldEnv[key]),
+                newValue: myUtils.deepClone(newEnv[key])
+            });
+        }
+    });
+
+    const oldNames = names(oldDesc.components);
+    const newNames = names(newDesc.components);
+    const oldMap = toMap(oldDesc.components);
+    const newMap = toMap(newDesc.components);
+    oldNames.forEach(function(x, i) {
+        newMap[x] || changes.push({op: 'removed', path: path + '/' + x,
+                                   index: i});
+    });
+    newNames.forEach(function(x, i) {
+        oldMap[x] || changes.push({op: 'added', path: path + '/' + x,
+                                   index: i});
+    });
+    const common = oldNames.filter(function(x) { return newMap[x];});
+    const inOrder = {};
+    const samePosition = function(x) {
+        return (oldNames.indexOf(x) === newNames.indexOf(x)) ? 1 : 0;
+    };
+    lcs(common, newNames.filter(function(x) { return oldMap[x];}),
+        samePosition)
+        .forEach(function(x) { inOrder[x] = true;});
+    newNames.forEach(function(x, i) {
+        if (oldMap[x] && !inOrder[x] && (oldNames.indexOf(x) !== i)) {
+            changes.push({op: 'moved', path: path + '/' + x,
+                          from: oldNames.indexOf(x), to: i});
+        }
+    });
+    newNames.forEach(function(x) {
+        oldMap[x] && diffObj(oldMap[x], newMap[x], path + '/' + x, changes);
+    });
+};
+
+/**
+ * Compares two descriptions.
+ *
+ * The changes are of type `descChangeType`:
+ *
+ *      {op: string, path: string, key=: string, oldValue=: any,
+ *       newValue=: any, index=: number, from=: number, to=: number}
+ *
+ * where `path` identifies a component with the names in the hierarchy joined
+ * by `/`, e.g., `top/h2/h21`, and `op` is one of:
+ *
+ *  - `name`: the top component changed its name.
+ *  - `added` or `removed`: a component was added or removed, at position
+ * `index` in its (new or old) siblings.
+ *  - `moved`: a component changed its relative order, from position `from`
+ * to position `to` in its siblings.
+ *  - `module`, `description`, or `dependsOn`: changed from `oldValue` to
+ * `newValue`.
+ *  - `env`: the `env` property `key` changed from `oldValue` to `newValue`.
+ * An `undefined` value means a missing property.
+ *
+ * @param {specType} oldDesc A description.
+ * @param {specType} newDesc A new version of that description.
+ *
+ * @return {Array.<descChangeType>} A list of changes, empty if they are
+ * equivalent.
+ *
+ * @memberof! module:caf_components/templateUtils
+ * @alias diff
+ */
+exports.diff = function(oldDesc, newDesc) {
+    assert.equal(typeof(oldDesc), 'object', "'oldDesc' is not an object");
+    assert.equal(typeof(newDesc), 'object', "'newDesc' is not an object");
+    const changes = [];
+    if (oldDesc.name !== newDesc.name) {
+        changes.push({op: 'name', path: newDesc.name,
+                      oldValue: oldDesc.name, newValue: newDesc.name});
+    }
+    diffObj(oldDesc, newDesc, newDesc.name, changes);
+    return changes;
+};
+
+/*
+ * Computes a delta entry that `mergeObj` would apply to `oldDesc` to obtain
+ * `newDesc`, or `null` if not possible, e.g., we cannot delete a
+ * `description`.
+ *
+ * @param {specType} oldDesc
+ * @param {specType} newDesc
+ * @return {specDeltaType|null}
+ */
+const deltaObj = function(oldDesc, newDesc) {
+    const result = {name: newDesc.name};
+    if (oldDesc.module !== newDesc.module) {
+        if (!newDesc.module) {
+            return null;
+        }
+        result.module = newDesc.module;
+    }
+    const replaced = ['description', 'dependsOn'].some(function(key) {
+        if (!myUtils.deepStrictEqual(oldDesc[key], newDesc[key])) {
+            if (!newDesc[key]) {
+                return true;
+            }
+            result[key] = myUtils.deepClone(newDesc[key]);
+        }
+        return false;
+    });
+    if (replaced) {
+        return null;
+    }
+
+    const oldEnv = oldDesc.env || {};
+    const newEnv = newDesc.env || {};
+    const env = {};
+    Object.keys(oldEnv).forEach(function(x) {
+        if (!Object.prototype.hasOwnProperty.call(newEnv, x)) {
+            env[x] = naming.ENV_DELETE;
+        }
+    });
+    Object.keys(newEnv).forEach(function(x) {
+        if (!myUtils.deepStrictEqual(oldEnv[x], newEnv[x])) {
+            env[x] = myUtils.deepClone(newEnv[x]);
+        }
+    });
+    if (Object.keys(env).length > 0) {
+        result.env = env;
+    }
+
+    if (newDesc.components) {
+        const components = deltaComponents(oldDesc.components || [],
+                                           newDesc.components);
+        if ((components.length > 0) || !oldDesc.components) {
+            result.components = components;
+        }
+    } else if (oldDesc.components) {
+        return null;
+    }
+    return result;
+};
+
+/*
+ * Computes the delta of a component array.
+ *
+ * Entries that keep their relative order, and can be patched in place, are
+ * anchors. Then, we delete removed entries, and, in the new order, patch the
+ * anchors, and place the rest with explicit `before`/`after` directives.
+ * Entries that cannot be patched use `replace`.
+ *
+ * @param {Array.<specType>} oldComps
+ * @param {Array.<specType>} newComps
+ * @return {Array.<specDeltaType>}
+ */
+const deltaComponents = function(oldComps, newComps) {
+    const oldMap = toMap(oldComps);
+    const newMap = toMap(newComps);
+    const deltas = {};
+    newComps.forEach(function(x) {
+        deltas[x.name] = oldMap[x.name] ? deltaObj(oldMap[x.name], x) : null;
+    });
+    const isPatched = function(x) { return oldMap[x] && deltas[x];};
+    const anchors = {};
+    lcs(names(oldComps).filter(isPatched), names(newComps).filter(isPatched))
+        .forEach(function(x) { anchors[x] = true;});
+
+    const result = [];
+    oldComps.forEach(function(x) {
+        newMap[x.name] || result.push({name: x.name, module: null});
+    });
+    // before placing anything, the remaining entries keep their old order
+    const first = names(oldComps).find(function(x) { return newMap[x];});
+    newComps.forEach(function(x, i) {
+        if (anchors[x.name]) {
+            (Object.keys(deltas[x.name]).length > 1) &&
+                result.push(deltas[x.name]);
+        } else {
+            const entry = deltas[x.name] || myUtils.deepClone(x);
+            if (!deltas[x.name] && oldMap[x.name]) {
+                entry.replace = true;
+            }
+            if (i > 0) {
+                entry.after = newComps[i-1].name;
+            } else if (first && (first !== x.name)) {
+                entry.before = first;
+            }
+            result.push(entry);
+        }
+    });
+    return result;
+};
+
+/**
+ * Computes a delta description that transforms a description into another.
+ *
+ * The delta is minimal in the sense that it only contains changed
+ * properties, and components that need to be added, deleted, moved, or
+ * changed.
+ *
+ * Components that change their relative order use `before` or `after`
+ * directives, and a component that cannot be patched, e.g., it removes an
+ * `env` property, uses a `replace` directive.
+ *
+ * The result satisfies that `merge(oldDesc, delta(oldDesc, newDesc), true)`
+ * is equivalent to `newDesc`.
+ *
+ * @param {specType} oldDesc A template description.
+ * @param {specType} newDesc A target description.
+ *
+ * @return {specDeltaType} A delta description, e.g., the contents of a
+ * `++.json` file.
+ *
+ * @throws {Error} If the top component cannot be patched.
+ *
+ * @memberof! module:caf_components/templateUtils
+ * @alias delta
+ */
+exports.delta = function(oldDesc, newDesc) {
+    assert.equal(typeof(oldDesc), 'object', "'oldDesc' is not an object");
+    assert.equal(typeof(newDesc), 'object', "'newDesc' is not an object");
+    const result = deltaObj(oldDesc, newDesc);
+    if (result === null) {
+        const err = new Error('delta: cannot patch top component ' +
+                              newDesc.name);
+        err['oldDesc'] = oldDesc;
+        err['newDesc'] = newDesc;
+        throw err;
+    }
+    return result;
+};
+
+/*
+ * Finds a component in a description using a path of names joined by `/`,
+ * e.g., `top/h2/h21`.
+ *
+ * @param {specType} desc
+ * @param {string} path
+ * @return {specType|undefined}
+ */
+const findComponent = function(desc, path) {
+    const parts = path.split('/');
+    let result = (desc.name === parts.shift()) ? desc : undefined;
+    parts.forEach(function(x) {
+        result = result && toMap(result.components)[x];
+    });
+    return result;
+};
+
+/**
+ * Updates in place a record of the layers that contributed to a
+ * description, after a layer changed it from `oldDesc` to `newDesc`.
+ *
+ * A layer contributes to a component, identified by its path, e.g.,
+ * `top/h2/h21`, when it adds, moves, or changes its `module`, `description`,
+ * or `dependsOn`. It contributes to an `env` property, identified by
+ * `<component path>.env.<key>`, when it sets that value.
+ *
+ * @param {layersType} record A record of layer contributions to update.
+ * @param {specType|null} oldDesc The description before applying the layer,
+ * or `null` if this is the first layer.
+ * @param {specType} newDesc The description after applying the layer.
+ * @param {string} layer The name of the layer, e.g., `base.json`.
+ *
+ * @memberof! module:caf_components/templateUtils
+ * @alias trackLayer
+ */
+exports.trackLayer = function(record, oldDesc, newDesc, layer) {
+    oldDesc = oldDesc || {name: newDesc.name, module: null, env: {},
+                          components: []};
+    const values = record.values;
+    const forEachKey = function(prefix, f) {
+        Object.keys(values).forEach(function(x) {
+            if ((x === prefix) || (x.indexOf(prefix + '/') === 0) ||
+                (x.indexOf(prefix + '.') === 0)) {
+                f(x);
+            }
+        });
+    };
+    const addAll = function(desc, path) {
+        values[path] = layer;
+        Object.keys(desc.env || {}).forEach(function(key) {
+            values[path + '.env.' + key] = layer;
+        });
+        (desc.components || []).forEach(function(x) {
+            addAll(x, path + '/' + x.name);
+        });
+    };
+
+    exports.diff(oldDesc, newDesc).forEach(function(change) {
+        const path = change.path;
+        if (change.op === 'name') {
+            forEachKey(change.oldValue, function(x) {
+                values[path + x.substring(change.oldValue.length)] =
+                    values[x];
+                delete values[x];
+            });
+        } else if (change.op === 'added') {
+            addAll(findComponent(newDesc, path), path);
+        } else if (change.op === 'removed') {
+            forEachKey(path, function(x) { delete values[x];});
+        } else if (change.op === 'env') {
+            if (change.newValue === undefined) {
+                delete values[path + '.env.' + change.key];
+            } else {
+                values[path + '.env.' + change.key] = layer;
+            }
+        } else {
+            values[path] = layer;
+        }
+    });
+    record.layers.push(layer);
 };
 
 /**
  *  Patches every environment in a description.
  *
  * @param {specType} desc A description to patch.
- * @param {function(Object):void} f A function to patch an environment.
+ * @param {function(Object, string):void} f A function to patch an
+ * environment, given its component path, e.g., `top/h2`.
+ * @param {string=} path The path of the parent component.
  */
-const patchEnv = function(desc, f) {
+const patchEnv = function(desc, f, path) {
     if (typeof desc === 'object') {
-        f(desc.env);
+        const newPath = path ? path + '/' + desc.name : desc.name;
+        f(desc.env, newPath);
         if (Array.isArray(desc.components)) {
-            desc.components.forEach(function(x) { patchEnv(x, f);});
+            desc.components.forEach(function(x) { patchEnv(x, f, newPath);});
         }
     } else {
         const err = new Error('patchEnv: not an object');
@@ -232,24 +825,26 @@ const patchEnv = function(desc, f) {
  * applies a transform to them.
  *
  * @param {string} prefix A matching prefix for selected values.
- * @param {function(string): Object} f A function that transforms matching
- *  values.
+ * @param {function(string, string): Object} f A function that transforms
+ *  matching values, given the path of the top level `env` property that
+ *  contains them, e.g., `top/h2.env.url`.
  *
  */
 const patchOneEnv = function(prefix, f) {
-    const retF = function(env) {
+    const retF = function(env, path, id) {
         Object.keys(env)
             .forEach(function(x) {
                 const val = env[x];
+                const newId = id || (path + '.env.' + x);
                 if ((typeof val === 'string') &&
                     (val.indexOf(prefix) === 0)) {
                     const propName = val.substring(prefix.length,
                                                    val.length);
-                    env[x] = f(propName);
+                    env[x] = f(propName, newId);
                 } else if (Array.isArray(val)) {
-                    retF(val);
+                    retF(val, path, newId);
                 } else if (val && (typeof val === 'object')) {
-                    retF(val);
+                    retF(val, path, newId);
                 }
             });
     };
@@ -287,16 +882,21 @@ const parseString = function(x) {
  * `env: {"location" : "process.env.MY_LOCATION||Palo Alto"}`
  *
  * @param {specType} desc A description to be patched.
+ * @param {traceType=} trace An optional function to record the source of
+ * a resolved value, e.g., `process.env.MY_LOCATION` or `default`.
  *
  * @memberof! module:caf_components/templateUtils
  * @alias resolveEnv
  */
-exports.resolveEnv = function(desc) {
-    const f = patchOneEnv(naming.ENV_PROPERTY_PREFIX, function(propName) {
+exports.resolveEnv = function(desc, trace) {
+    trace = trace || function() {};
+    const f = patchOneEnv(naming.ENV_PROPERTY_PREFIX, function(propName, id) {
         const p = propName.split('||');
         const prop = process.env[p[0].trim()];
+        trace(id, naming.ENV_PROPERTY_PREFIX + p[0].trim());
         if (prop === undefined) {
             if (p.length === 2) {
+                trace(id, 'default');
                 return parseString(p[1].trim());
             } else {
                 return undefined;
@@ -309,23 +909,443 @@ exports.resolveEnv = function(desc) {
 };
 
 
+const SECRET_FILE_PREFIX = 'file:';
+
+/*
+ * Reads a secret, registering it to be redacted in logs.
+ *
+ * @param {string} ref A secret reference without the `secret.` prefix, i.e.,
+ * `file:<path>` or `<name>`.
+ * @param {Object=} owner An optional owner of the secret, see
+ * `myUtils.registerSecret`.
+ * @return {string} The secret, without a trailing newline.
+ *
+ * @throws {Error} If the secret cannot be read.
+ */
+const readSecret = function(ref, owner) {
+    let fileName = null;
+    if (ref.indexOf(SECRET_FILE_PREFIX) === 0) {
+        fileName = ref.substring(SECRET_FILE_PREFIX.length);
+    } else {
+        const dir = process.env[naming.SECRETS_DIR_ENV];
+        if (!dir || !/^[\w.-]+$/.test(ref) || (ref.indexOf('..') !== -1)) {
+            const err = new Error('readSecret: invalid secret ' + ref +
+                                  ' or missing ' + naming.SECRETS_DIR_ENV);
+            err['secret'] = ref;
+            throw err;
+        }
+        fileName = path.join(dir, ref);
+    }
+    try {
+        const value = fs.readFileSync(fileName, 'utf8').replace(/\r?\n$/, '');
+        return myUtils.registerSecret(value, owner);
+    } catch (error) {
+        const err = new Error('readSecret: cannot read secret ' + ref);
+        err['secret'] = ref;
+        err['code'] = error.code;
+        throw err;
+    }
+};
+
+/**
+ * Patches in place `env` values that are secrets read from files.
+ *
+ * We use the reserved `secret.` prefix, i.e., `secret.file:<path>` reads
+ * the file `<path>`, and `secret.<name>` reads the file `<name>` in the
+ * directory given by the environment property `CAF_SECRETS_DIR`, e.g.,
+ * with mounted secrets:
+ *
+ * `env: {"password" : "secret.redis_password"}`
+ *
+ * A trailing newline is removed. Secrets are registered with
+ * {@link module:caf_components/myUtils.registerSecret}, and they are
+ * redacted when logging errors.
+ *
+ * @param {specType} desc A description to be patched.
+ * @param {traceType=} trace An optional function to record the source of
+ * a resolved value, e.g., `secret.redis_password`.
+ * @param {Object=} owner An optional owner of the secrets, e.g., a loader,
+ * to remove them with {@link module:caf_components/myUtils.clearSecrets}.
+ *
+ * @throws {Error} If a secret cannot be read.
+ *
+ * @memberof! module:caf_components/templateUtils
+ * @alias resolveSecrets
+ */
+exports.resolveSecrets = function(desc, trace, owner) {
+    trace = trace || function() {};
+    patchEnv(desc, patchOneEnv(naming.SECRET_PREFIX, function(ref, id) {
+        trace(id, naming.SECRET_PREFIX + ref);
+        return readSecret(ref, owner);
+    }));
+};
+
+/*
+ * Typed coercions for expressions, e.g., `${process.env.PORT|int}`.
+ */
+const COERCIONS = {
+    int: function(x) {
+        const result = /^\s*[-+]?\d+\s*$/.test(String(x)) ? Number(x) : NaN;
+        if (!Number.isInteger(result)) {
+            throw new Error('not an integer');
+        }
+        return result;
+    },
+    number: function(x) {
+        const result = (typeof x === 'number') ? x : parseFloat(x);
+        if (isNaN(result)) {
+            throw new Error('not a number');
+        }
+        return result;
+    },
+    bool: function(x) {
+        if (typeof x === 'boolean') {
+            return x;
+        }
+        const value = String(x).trim().toLowerCase();
+        if (['true', 'yes', '1'].indexOf(value) !== -1) {
+            return true;
+        } else if (['false', 'no', '0', ''].indexOf(value) !== -1) {
+            return false;
+        } else {
+            throw new Error('not a boolean');
+        }
+    },
+    json: function(x) {
+        return (typeof x === 'string') ? JSON.parse(x) : x;
+    },
+    list: function(x) {
+        if (Array.isArray(x)) {
+            return x;
+        }
+        return String(x).split(',')
+            .map(function(y) { return y.trim();})
+            .filter(function(y) { return y.length > 0;});
+    },
+    string: function(x) {
+        return (typeof x === 'string') ? x : JSON.stringify(x);
+    }
+};
+
+// `${expression}`, or `$${...}` to escape it.
+const EXPRESSION_REGEX = /\$?\$\{([^}]*)\}/g;
+
+const COMPONENT_REF_REGEX = /^\$\(([^)]*)\)\.env\.(.+)$/;
+
+/*
+ * Parses an expression of the form `source[!][||default][|coercion]*`.
+ */
+const parseExpression = function(text) {
+    let body = text.trim();
+    const coercions = [];
+    for (;;) {
+        const m = /\|\s*(\w+)\s*$/.exec(body);
+        if (m && COERCIONS[m[1]] && (body[m.index - 1] !== '|')) {
+            coercions.unshift(m[1]);
+            body = body.substring(0, m.index).trim();
+        } else {
+            break;
+        }
+    }
+    const i = body.indexOf('||');
+    let source = ((i < 0) ? body : body.substring(0, i)).trim();
+    const required = (source[source.length - 1] === '!');
+    if (required) {
+        source = source.substring(0, source.length - 1).trim();
+    }
+    return {
+        source: source,
+        required: required,
+        defaultValue: (i < 0) ? undefined : body.substring(i + 2).trim(),
+        coercions: coercions
+    };
+};
+
 /**
- * Patches in place links to the top level environment.
+ * Patches in place links to other environment properties, and evaluates
+ * expressions.
  *
- * We use the prefix  `$._.env.`. For example:
+ * We use the prefix  `$._.env.` for a value that links to a top level
+ * environment property. For example:
  *
  * `env: {"location" : "$._.env.location"}`
  *
+ * Expressions `${...}` can also appear inside strings, e.g.,
+ * `"redis://${process.env.HOST}:${$._.env.port}"`. A string with just one
+ * expression is replaced by its value, i.e., not always a string. Otherwise,
+ * non-string values are serialized with JSON. Use `$${` to escape an
+ * expression.
+ *
+ * The syntax of an expression is `source[!][||default][|coercion]*`,
+ * where:
+ *
+ *  - `source` is `process.env.NAME`, a secret `secret.name` (see
+ * `resolveSecrets`), a top level property `$._.env.prop`, or
+ * a property of another component `$(path).env.prop`. The `path` is
+ * absolute, e.g., `/h2/h21` with `/` the top component, or relative to this
+ * component, e.g., `..` for the parent, or `../h1` for a sibling. Nested
+ * properties use `.`, e.g., `$(..).env.db.port`.
+ *  - `!` makes the value required, throwing an error if missing.
+ *  - `default` replaces a missing value, and it is parsed as JSON if
+ * possible. It cannot contain `}`.
+ *  - `coercion` is one of `int`, `number`, `bool`, `json`, `list` (split a
+ * comma-separated string), or `string`, applied in order.
+ *
+ * Linked values are resolved first, and cycles are an error.
+ *
  * @param {specType} desc A description to be patched.
+ * @param {traceType=} trace An optional function to record the source of
+ * a resolved value, e.g., `process.env.HOST`, `default`, `secret.name`, or
+ * the path of a linked property, e.g., `top/h1.env.port`.
+ * @param {Object=} owner An optional owner of the secrets read by
+ * expressions, see `resolveSecrets`.
+ *
+ * @throws {Error} If a required value is missing, a reference or coercion
+ * is invalid, or links have a cycle. The property `path` identifies the
+ * property, e.g., `top/h2.env.url`.
  *
  * @memberof! module:caf_components/templateUtils
  * @alias resolveLinks
  */
-exports.resolveLinks = function(desc) {
-    const topEnv = desc.env;
-    const f = patchOneEnv(naming.ENV_LINK_PREFIX, function(propName) {
-        return topEnv[propName];
+exports.resolveLinks = function(desc, trace, owner) {
+    trace = trace || function() {};
+    const newNode = function(spec, parent, path) {
+        const node = {spec: spec, parent: parent, path: path, children: {},
+                      done: {}};
+        (spec.components || []).forEach(function(x) {
+            if (x && (typeof x === 'object')) {
+                node.children[x.name] = newNode(x, node, path + '/' + x.name);
+            }
+        });
+        return node;
+    };
+    const root = newNode(desc, null, desc.name);
+    const visiting = [];
+
+    const newError = function(msg, id, props) {
+        const err = new Error('resolveLinks: ' + msg + ' in ' + id);
+        err['path'] = id;
+        return myUtils.mixin(err, props || {});
+    };
+
+    const findNode = function(node, path, id) {
+        let result = node;
+        if (path.indexOf('/') === 0) {
+            result = root;
+            path = path.substring(1);
+        }
+        path.split('/').forEach(function(x) {
+            if (x === '..') {
+                result = result && result.parent;
+            } else if (x && (x !== '.')) {
+                result = result && result.children[x];
+            }
+        });
+        if (!result) {
+            throw newError('unknown component ' + path, id);
+        }
+        return result;
+    };
+
+    const lookup = function(node, propPath, id) {
+        trace(id, node.path + '.env.' + propPath);
+        const keys = propPath.split('.');
+        const first = keys.shift();
+        let result = (node.spec.env &&
+                      Object.prototype.hasOwnProperty.call(node.spec.env,
+                                                           first)) ?
+            resolveKey(node, first) :
+            undefined;
+        keys.forEach(function(x) {
+            result = (result && (typeof result === 'object')) ?
+                result[x] :
+                undefined;
+        });
+        return result;
+    };
+
+    const evaluate = function(node, text, whole, id) {
+        const expr = parseExpression(text);
+        let value;
+        let m;
+        if (expr.source.indexOf(naming.ENV_PROPERTY_PREFIX) === 0) {
+            trace(id, expr.source);
+            value = process.env[
+                expr.source.substring(naming.ENV_PROPERTY_PREFIX.length)
+            ];
+            if ((value !== undefined) && whole &&
+                (expr.coercions.length === 0)) {
+                value = parseString(value);
+            }
+        } else if (expr.source.indexOf(naming.ENV_LINK_PREFIX) === 0) {
+            const prop = expr.source.substring(naming.ENV_LINK_PREFIX.length);
+            value = lookup(root, prop, id);
+        } else if ((m = COMPONENT_REF_REGEX.exec(expr.source))) {
+            value = lookup(findNode(node, m[1].trim(), id), m[2], id);
+        } else if (expr.source.indexOf(naming.SECRET_PREFIX) === 0) {
+            const ref = expr.source.substring(naming.SECRET_PREFIX.length);
+            trace(id, expr.source);
+            try {
+                value = readSecret(ref, owner);
+            } catch (err) {
+                throw newError(err.message, id, {secret: ref});
+            }
+        } else {
+            throw newError('invalid expression ' + text, id,
+                           {expression: text});
+        }
+        if (value === undefined) {
+            if (expr.required) {
+                throw newError('missing required value ' + expr.source, id,
+                               {expression: text});
+            }
+            if (expr.defaultValue !== undefined) {
+                trace(id, 'default');
+                value = parseString(expr.defaultValue);
+            }
+        }
+        if (value !== undefined) {
+            expr.coercions.forEach(function(x) {
+                try {
+                    value = COERCIONS[x](value);
+                } catch (err) {
+                    throw newError('cannot coerce to ' + x + ' (' +
+                                   err.message + ')', id,
+                                   {expression: text, value: value});
+                }
+            });
+        }
+        return value;
+    };
+
+    const resolveValue = function(node, val, id) {
+        if (typeof val === 'string') {
+            if (val.indexOf(naming.ENV_LINK_PREFIX) === 0) {
+                const key = val.substring(naming.ENV_LINK_PREFIX.length);
+                trace(id, root.path + '.env.' + key);
+                return Object.prototype.hasOwnProperty.call(root.spec.env,
+                                                            key) ?
+                    resolveKey(root, key) :
+                    undefined;
+            }
+            const matches = val.match(EXPRESSION_REGEX);
+            if (!matches) {
+                return val;
+            } else if ((matches.length === 1) && (matches[0] === val) &&
+                       (val.indexOf('$$') !== 0)) {
+                return evaluate(node, val.substring(2, val.length - 1), true,
+                                id);
+            } else {
+                return val.replace(EXPRESSION_REGEX, function(all, text) {
+                    if (all.indexOf('$$') === 0) {
+                        return all.substring(1);
+                    }
+                    const value = evaluate(node, text, false, id);
+                    if (value === undefined) {
+                        return '';
+                    } else if (typeof value === 'string') {
+                        return value;
+                    } else {
+                        return JSON.stringify(value);
+                    }
+                });
+            }
+        } else if (Array.isArray(val)) {
+            return val.map(function(x) { return resolveValue(node, x, id);});
+        } else if (val && (typeof val === 'object')) {
+            Object.keys(val).forEach(function(x) {
+                val[x] = resolveValue(node, val[x], id);
+            });
+            return val;
+        } else {
+            return val;
+        }
+    };
+
+    const resolveKey = function(node, key) {
+        const env = node.spec.env;
+        const id = node.path + '.env.' + key;
+        if (!node.done[key]) {
+            if (visiting.indexOf(id) !== -1) {
+                throw newError('cyclic link', id,
+                               {cycle: visiting.concat(id)});
+            }
+            visiting.push(id);
+            env[key] = resolveValue(node, env[key], id);
+            visiting.pop();
+            node.done[key] = true;
+        }
+        return env[key];
+    };
+
+    const resolveAll = function(node) {
+        if (node.spec.env && (typeof node.spec.env === 'object')) {
+            Object.keys(node.spec.env).forEach(function(x) {
+                resolveKey(node, x);
+            });
+        }
+        Object.keys(node.children).forEach(function(x) {
+            resolveAll(node.children[x]);
+        });
+    };
+
+    resolveAll(root);
+};
+
+/**
+ * Attaches a provenance map to a resolved description.
+ *
+ * The map is a non-enumerable property, and it is not copied by `merge`
+ * or cloning.
+ *
+ * @param {specType} desc A resolved description.
+ * @param {Object.<string, provenanceType>} provenance A map from component
+ * paths, e.g., `top/h2`, or `env` property paths, e.g., `top/h2.env.url`,
+ * to their provenance.
+ *
+ * @memberof! module:caf_components/templateUtils
+ * @alias setProvenance
+ */
+exports.setProvenance = function(desc, provenance) {
+    Object.defineProperty(desc, naming.PROVENANCE, {
+        value: provenance, enumerable: false, configurable: true,
+        writable: true
     });
-    patchEnv(desc, f);
+};
 
+/**
+ * Queries the provenance of a resolved description.
+ *
+ * The provenance has type `provenanceType`:
+ *
+ *      {layer: string|null, sources: Array.<string>}
+ *
+ * where `layer` is the last layer that set the value, e.g., `./hello.json`,
+ * `./hello++.json`, `./hello.prod++.json`, or `spec` (see
+ * {@link module:caf_components/gen_loader}), and `sources` are
+ * the environment properties (`process.env.NAME`), defaults (`default`),
+ * secrets (`secret.name`), or linked properties (`top/h1.env.port`) used to
+ * resolve it.
+ *
+ * @param {specType} desc A description resolved with the `provenance`
+ * option.
+ * @param {string=} path A component path, e.g., `top/h2`, or an `env`
+ * property path, e.g., `top/h2.env.interval`. If missing, it returns the
+ * whole map.
+ *
+ * @return {provenanceType|Object.<string, provenanceType>|null} The
+ * provenance of that path, or the whole map, or `null` if unknown.
+ *
+ * @memberof! module:caf_components/templateUtils
+ * @alias getProvenance
+ */
+exports.getProvenance = function(desc, path) {
+    const provenance = desc && desc[naming.PROVENANCE];
+    if (!provenance) {
+        return null;
+    } else if (path) {
+        return provenance[path] ? myUtils.deepClone(provenance[path]) : null;
+    } else {
+        return myUtils.deepClone(provenance);
+    }
 };
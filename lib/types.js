@@ -14,6 +14,8 @@
  * @property {string=} description
  * @property {Object} env
  * @property {Array.<specType>=} components
+ * @property {Array.<string>=} dependsOn
+ * @property {(string|Array.<string>)=} extends
  *
  */
 
@@ -25,6 +27,11 @@
  * @property {string=} description
  * @property {Object=} env
  * @property {Array.<specType>=} components
+ * @property {Array.<string>=} dependsOn
+ * @property {string=} before
+ * @property {string=} after
+ * @property {boolean=} replace
+ * @property {string=} envMerge
  *
  */
 
@@ -32,3 +39,142 @@
  * @global
  * @typedef {Object.<string, Object>} ctxType
  */
+
+/**
+ * @global
+ * @typedef {Object} descChangeType
+ * @property {string} op
+ * @property {string} path
+ * @property {string=} key
+ * @property {any=} oldValue
+ * @property {any=} newValue
+ * @property {number=} index
+ * @property {number=} from
+ * @property {number=} to
+ *
+ */
+
+/**
+ * @global
+ * @typedef {Object} healthType
+ * @property {string} name
+ * @property {string} module
+ * @property {string} status
+ * @property {number=} lastCheckup
+ * @property {number=} checkupDuration
+ * @property {string=} lastError
+ * @property {number=} restarts
+ * @property {Array.<healthType>=} components
+ *
+ */
+
+/**
+ * @global
+ * @typedef {Object} lifecycleEventType
+ * @property {string} type
+ * @property {string} container
+ * @property {number} time
+ * @property {string=} child
+ * @property {Array.<string>=} children
+ * @property {Error=} error
+ * @property {reconfigureChangesType=} changes
+ *
+ */
+
+/**
+ * @global
+ * @typedef {Object} reconfigureChangesType
+ * @property {Array.<string>} added
+ * @property {Array.<string>} removed
+ * @property {Array.<string>} restarted
+ * @property {Array.<string>} reconfigured
+ *
+ */
+
+/**
+ * @global
+ * @typedef {Object} backoffType
+ * @property {string} strategy
+ * @property {number} delay
+ * @property {number=} factor
+ * @property {number=} maxDelay
+ * @property {string=} jitter
+ *
+ */
+
+/**
+ * @global
+ * @typedef {Object} schemaType
+ * @property {(string|Array.<string>)=} type
+ * @property {Array=} enum
+ * @property {Array.<string>=} required
+ * @property {Object<string, schemaType>=} properties
+ * @property {(boolean|schemaType)=} additionalProperties
+ * @property {schemaType=} items
+ * @property {number=} minimum
+ * @property {number=} maximum
+ * @property {number=} minLength
+ * @property {string=} pattern
+ * @property {Array.<schemaType>=} anyOf
+ *
+ */
+
+/**
+ * @global
+ * @typedef {Object} validationErrorType
+ * @property {string} path
+ * @property {string} message
+ *
+ */
+
+/**
+ * @global
+ * @typedef {Object} layersType
+ * @property {Array.<string>} layers
+ * @property {Object.<string, string>} values
+ *
+ */
+
+/**
+ * @global
+ * @typedef {Object} loadOptionsType
+ * @property {boolean=} planOnly
+ * @property {(string|Array.<string>)=} profile
+ * @property {boolean=} provenance
+ * @property {boolean=} watch
+ *
+ */
+
+/**
+ * @global
+ * @typedef {Object} resolverType
+ * @property {string} id
+ * @property {string} type
+ * @property {function(string):any} require
+ * @property {(function(string):string)=} resolveFile
+ * @property {(function(string, number=):Promise<Object>)=} importModule
+ * @property {string=} root
+ *
+ */
+
+/**
+ * @global
+ * @typedef {function(string, string):void} traceType
+ *
+ */
+
+/**
+ * @global
+ * @typedef {Object} provenanceType
+ * @property {string|null} layer
+ * @property {Array.<string>} sources
+ *
+ */
+
+/**
+ * @global
+ * @typedef {Object} descOptionsType
+ * @property {(string|Array.<string>)=} profile
+ * @property {boolean=} provenance
+ *
+ */
@@ -0,0 +1,40 @@
+var caf_comp = require('../../index');
+
+var genComponent =  caf_comp.gen_component;
+var myUtils =  caf_comp.myUtils;
+
+/**
+ * Log of creation and shutdown events.
+ */
+exports.events = [];
+
+/**
+ * Factory method to create a test component with a slow constructor.
+ *
+ */
+exports.newInstance = function($, spec, cb) {
+    try {
+        var that = genComponent.create($, spec);
+
+        var super__ca_shutdown__ = myUtils.superior(that, '__ca_shutdown__');
+        that.__ca_shutdown__ = function(data, cb0) {
+            if (!that.__ca_isShutdown__) {
+                exports.events.push('shutdown:' + spec.name);
+            }
+            if (spec.env.shutdownDelay) {
+                setTimeout(function() {
+                    super__ca_shutdown__(data, cb0);
+                }, spec.env.shutdownDelay);
+            } else {
+                super__ca_shutdown__(data, cb0);
+            }
+        };
+
+        setTimeout(function() {
+            exports.events.push('created:' + spec.name);
+            cb(null, that);
+        }, spec.env.delay);
+    } catch (err) {
+        cb(err);
+    }
+};
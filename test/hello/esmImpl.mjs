@@ -0,0 +1,38 @@
+import { createRequire } from 'module';
+
+var require = createRequire(import.meta.url);
+var caf_comp = require('../../index');
+
+var genComponent =  caf_comp.gen_component;
+
+// top level await, cannot be loaded with `require`
+var prefix = await Promise.resolve('esm: ');
+
+var envSchema = {
+    type: 'object',
+    required: ['message'],
+    properties: {
+        message: {type: 'string'}
+    }
+};
+
+/**
+ * Factory method to create a test component.
+ *
+ * @see supervisor
+ */
+var newInstance = function($, spec, cb) {
+    try {
+        var that = genComponent.create($, spec);
+
+        that.getMessage = function() {
+            return prefix + spec.env.message;
+        };
+
+        cb(null, that);
+    } catch (err) {
+        cb(err);
+    }
+};
+
+export default {envSchema: envSchema, newInstance: newInstance};
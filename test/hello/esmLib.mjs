@@ -0,0 +1,20 @@
+import { createRequire } from 'module';
+
+var require = createRequire(import.meta.url);
+var caf_comp = require('../../index');
+
+var genComponent =  caf_comp.gen_component;
+
+var suffix = await Promise.resolve('!');
+
+export var impl = {
+    newInstance: async function($, spec) {
+        var that = genComponent.create($, spec);
+
+        that.getMessage = function() {
+            return spec.env.message + suffix;
+        };
+
+        return [null, that];
+    }
+};
@@ -2,6 +2,8 @@ var caf_comp = require('../../index');
 
 var genContainer =  caf_comp.gen_container;
 
+exports.envSchema = genContainer.envSchema;
+
 /**
  * Factory method to create a test component.
  *
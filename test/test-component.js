@@ -6,7 +6,9 @@ var faulty = require('./faulty/main.js');
 var dynamic = require('./dynamic/main.js');
 var proxy =  require('./proxy/main.js');
 var transac =  require('./transac/main.js');
-var myUtils = require('../index').myUtils;
+var main = require('../index');
+var myUtils = main.myUtils;
+var http = require('http');
 
 exports.helloworld = function (test) {
     test.expect(3);
@@ -193,6 +195,1465 @@ exports.properties = function(test) {
                  });
 };
 
+exports.validate = function(test) {
+    test.expect(3);
+    hello.load(null, null, 'hello5.json', null, function(err, $) {
+        test.ok(err && Array.isArray(err.errors), 'no validation errors');
+        var paths = err.errors.map(function(x) { return x.path;}).sort();
+        test.deepEqual(paths, ['$.components[1].env.maxRetries',
+                               '$.components[1].env.retryDelay',
+                               '$.env.maxRetries']);
+        test.ok(!$, 'components created');
+        test.done();
+    });
+};
+
+exports.plan = function(test) {
+    test.expect(7);
+    var modules = [bye.getModule(), hello.getModule()];
+    async.series([
+        function(cb) {
+            main.load(null, {name: 'newHello'}, 'hello3.json', modules, null,
+                      {planOnly: true}, function(err, plan) {
+                          test.ifError(err);
+                          test.deepEqual(plan.order, [
+                              'newHello', 'newHello/h1', 'newHello/h2',
+                              'newHello/h2/h21', 'newHello/h3'
+                          ]);
+                          test.equal(plan.description.components[0].module,
+                                     './byeImpl');
+                          cb(null);
+                      });
+        },
+        function(cb) {
+            var spec = {
+                name: 'hello',
+                components: [{name: 'h1', module: './missingImpl'}]
+            };
+            main.load(null, spec, 'hello3.json', [hello.getModule()], null,
+                      {planOnly: true}, function(err, plan) {
+                          test.ok(err && !plan, 'missing module not found');
+                          test.equal(err.errors.length, 1);
+                          test.equal(err.errors[0].path,
+                                     '$.components[0].module');
+                          cb(null);
+                      });
+        }
+    ], function(err) {
+        test.ifError(err);
+        test.done();
+    });
+};
+
+exports.dependsOn = function(test) {
+    test.expect(9);
+    var delayImpl = require('./hello/delayImpl.js');
+    async.series([
+        function(cb) {
+            delayImpl.events = [];
+            hello.load(null, null, 'hello6.json', null, function(err, $) {
+                test.ifError(err);
+                test.deepEqual(delayImpl.events, [
+                    'created:h3', 'created:h1', 'created:h2'
+                ]);
+                delayImpl.events = [];
+                $.hello.__ca_shutdown__(null, function(err) {
+                    test.ifError(err);
+                    test.deepEqual(delayImpl.events, [
+                        'shutdown:h1', 'shutdown:h3', 'shutdown:h2'
+                    ]);
+                    cb(null);
+                });
+            });
+        },
+        function(cb) {
+            var spec = {
+                name: 'hello',
+                components: [{name: 'h3', dependsOn: ['h1']}]
+            };
+            hello.load(null, spec, 'hello6.json', null, function(err, $) {
+                test.ok(err && (err.errors[0].path === '$.components'),
+                        'cycle not detected');
+                cb(null);
+            });
+        },
+        function(cb) {
+            // a failing child waits for its slow siblings
+            var spec = {
+                name: 'hello',
+                env: {maxRetries: 1, retryDelay: 10},
+                components: [{name: 'h3', module: './missingImpl'}]
+            };
+            delayImpl.events = [];
+            hello.load(null, spec, 'hello6.json', null, function(err) {
+                test.ok(err);
+                test.deepEqual(delayImpl.events, [
+                    'created:h2', 'shutdown:h2'
+                ]);
+                setTimeout(function() {
+                    test.equal(delayImpl.events.length, 2);
+                    cb(null);
+                }, 400);
+            });
+        }
+    ], function(err) {
+        test.ifError(err);
+        test.done();
+    });
+};
+
+var checkStrategy = function(test, strategy, restarted, cb) {
+    var spec = {
+        name: 'hello',
+        env: {strategy: strategy},
+        components: [
+            {name: 'h2'},
+            {name: 'h3', module: './helloImpl', env: {message: 'child3'}}
+        ]
+    };
+    hello.load(null, spec, 'hello3.json', null, function(err, $) {
+        test.ifError(err);
+        var top = $.hello;
+        var old = {h1: top.$.h1, h2: top.$.h2, h3: top.$.h3};
+        old.h2.__ca_shutdown__(null, function(err) {
+            var data = {};
+            top.__ca_checkup__(data, function(err) {
+                test.ifError(err);
+                var actual = Object.keys(old).filter(function(x) {
+                    return top.$[x] !== old[x];
+                });
+                test.deepEqual(actual, restarted, strategy);
+                test.equal(!!data.restartAll, strategy === 'one_for_all');
+                top.__ca_shutdown__(null, cb);
+            });
+        });
+    });
+};
+
+exports.strategy = function(test) {
+    test.expect(13);
+    async.series([
+        function(cb) {
+            checkStrategy(test, 'one_for_all', ['h1', 'h2', 'h3'], cb);
+        },
+        function(cb) {
+            checkStrategy(test, 'one_for_one', ['h2'], cb);
+        },
+        function(cb) {
+            checkStrategy(test, 'rest_for_one', ['h2', 'h3'], cb);
+        }
+    ], function(err) {
+        test.ifError(err);
+        test.done();
+    });
+};
+
+exports.restartIntensity = function(test) {
+    test.expect(5);
+    var spec = {
+        name: 'hello',
+        env: {strategy: 'one_for_one', maxRestarts: 1, restartPeriod: 10000}
+    };
+    hello.load(null, spec, 'hello3.json', null, function(err, $) {
+        test.ifError(err);
+        var top = $.hello;
+        async.series([
+            function(cb) {
+                top.$.h1.__ca_shutdown__(null, cb);
+            },
+            function(cb) {
+                top.__ca_checkup__(null, cb);
+            },
+            function(cb) {
+                test.ok(!top.$.h1.__ca_isShutdown__, 'h1 not restarted');
+                top.$.h1.__ca_shutdown__(null, cb);
+            },
+            function(cb) {
+                top.__ca_checkup__(null, function(err) {
+                    test.ok(err && (err.maxRestarts === 1),
+                            'restart intensity not exceeded');
+                    test.ok(top.__ca_isShutdown__, 'top not shutdown');
+                    cb(null);
+                });
+            }
+        ], function(err) {
+            test.ifError(err);
+            test.done();
+        });
+    });
+};
+
+exports.backoff = function(test) {
+    test.expect(11);
+    var policy = {strategy: 'exponential', delay: 10, maxDelay: 50};
+    test.deepEqual([1, 2, 3, 4, 5].map(function(i) {
+        return myUtils.backoffDelay(policy, i);
+    }), [10, 20, 40, 50, 50]);
+    test.equal(myUtils.backoffDelay({strategy: 'linear', delay: 10}, 3), 30);
+    var full = myUtils.backoffDelay({strategy: 'exponential', delay: 10,
+                                     jitter: 'full'}, 4);
+    test.ok((full >= 0) && (full < 80), 'bad full jitter');
+    var decor = myUtils.backoffDelay({strategy: 'constant', delay: 10,
+                                      jitter: 'decorrelated'}, 2, 20);
+    test.ok((decor >= 10) && (decor < 60), 'bad decorrelated jitter');
+    var checkLastFailure = function() {
+        // no delay after the last attempt, i.e., 100 + 200 but not 400
+        var begin = Date.now();
+        var fail = function(cb) {
+            cb(new Error('Oops'));
+        };
+        myUtils.retryWithDelay(fail, 3, {strategy: 'exponential', delay: 100},
+                               function(err) {
+                                   var elapsed = Date.now() - begin;
+                                   test.ok(err);
+                                   test.ok((elapsed >= 290) && (elapsed < 650),
+                                           'bad delay ' + elapsed);
+                                   test.done();
+                               });
+    };
+    var count = 0;
+    var start = Date.now();
+    var f = function(cb) {
+        count = count + 1;
+        cb(count < 4 ? new Error('Oops') : null, count);
+    };
+    myUtils.retryWithDelay(f, 5, {strategy: 'exponential', delay: 20},
+                           function(err, data) {
+                               test.ifError(err);
+                               test.equal(data, 4);
+                               test.ok(Date.now() - start >= 135,
+                                       'no backoff');
+                               var spec = {
+                                   name: 'hello',
+                                   env: {retryBackoff: {strategy: 'foo'}}
+                               };
+                               hello.load(null, spec, 'hello3.json', null,
+                                          function(err) {
+                                              test.ok(err && err.errors,
+                                                      'no validation error');
+                                              test.equal(err.errors[0].path,
+                                                         '$.env.retryBackoff' +
+                                                         '.strategy');
+                                              checkLastFailure();
+                                          });
+                           });
+};
+
+exports.events = function(test) {
+    test.expect(6);
+    var EVENTS = main.containerUtils.EVENTS;
+    hello.load(null, {name: 'hello'}, 'hello3.json', null, function(err, $) {
+        test.ifError(err);
+        var top = $.hello;
+        var events = [];
+        var listener = function(ev) {
+            events.push(ev.container + ':' + ev.type +
+                        (ev.child ? ':' + ev.child : ''));
+        };
+        top.__ca_subscribe__(listener);
+        async.series([
+            function(cb) {
+                top.$.h2.$.h21.__ca_shutdown__(null, cb);
+            },
+            function(cb) {
+                top.__ca_checkup__(null, cb);
+            },
+            function(cb) {
+                test.deepEqual(events, [
+                    'h2:' + EVENTS.CHECKUP_FAILED + ':h21',
+                    'h2:' + EVENTS.RESTART_ALL,
+                    'h2:' + EVENTS.CHILD_CREATING + ':h21',
+                    'h2:' + EVENTS.CHILD_CREATED + ':h21'
+                ]);
+                events = [];
+                top.__ca_shutdown__(null, cb);
+            },
+            function(cb) {
+                test.equal(events[0], 'hello:' + EVENTS.SHUTDOWN_STARTED);
+                test.ok(events.indexOf('h2:' + EVENTS.SHUTDOWN_COMPLETED) >= 0,
+                        'no child event');
+                test.equal(events[events.length - 1],
+                           'hello:' + EVENTS.SHUTDOWN_COMPLETED);
+                top.__ca_unsubscribe__(listener);
+                cb(null);
+            }
+        ], function(err) {
+            test.ifError(err);
+            test.done();
+        });
+    });
+};
+
+exports.health = function(test) {
+    test.expect(9);
+    hello.load(null, {name: 'hello'}, 'hello3.json', null, function(err, $) {
+        test.ifError(err);
+        var top = $.hello;
+        async.series([
+            function(cb) {
+                top.$.h2.$.h21.__ca_shutdown__(null, cb);
+            },
+            function(cb) {
+                var health = top.__ca_getHealth__();
+                test.equal(health.status, 'degraded');
+                test.equal(health.components[1].components[0].status,
+                           'shutdown');
+                top.__ca_checkup__(null, cb);
+            },
+            function(cb) {
+                var health = top.__ca_getHealth__();
+                test.equal(health.status, 'healthy');
+                test.deepEqual(health.components.map(function(x) {
+                    return x.name;
+                }), ['h1', 'h2']);
+                var h21 = health.components[1].components[0];
+                test.equal(h21.module, './helloImpl');
+                test.equal(h21.restarts, 1);
+                test.ok(h21.lastError, 'no last error');
+                top.__ca_shutdown__(null, cb);
+            }
+        ], function(err) {
+            test.ifError(err);
+            test.done();
+        });
+    });
+};
+
+var getJSON = function(port, path, cb, agent) {
+    var options = {host: '127.0.0.1', port: port, path: path, agent: agent};
+    http.get(options, function(res) {
+        var body = '';
+        res.on('data', function(chunk) { body = body + chunk;});
+        res.on('end', function() {
+            cb(null, {code: res.statusCode, body: JSON.parse(body)});
+        });
+    }).on('error', cb);
+};
+
+exports.healthPlug = function(test) {
+    test.expect(9);
+    // idle keep-alive connections do not delay shutdown
+    var agent = new http.Agent({keepAlive: true});
+    hello.load(null, null, 'health1.json', null, function(err, $) {
+        test.ifError(err);
+        var top = $.hello;
+        var port = top.$.health.getPort();
+        async.series([
+            function(cb) {
+                getJSON(port, '/readyz', function(err, res) {
+                    test.equal(res && res.code, 200);
+                    cb(err);
+                });
+            },
+            function(cb) {
+                getJSON(port, '/components', function(err, res) {
+                    test.deepEqual(res.body.components.map(function(x) {
+                        return x.name;
+                    }), ['health', 'h1']);
+                    top.$.h1.__ca_shutdown__(null, cb);
+                });
+            },
+            function(cb) {
+                getJSON(port, '/readyz', function(err, res) {
+                    test.equal(res && res.code, 503);
+                    test.equal(res && res.body.status, 'degraded');
+                    cb(err);
+                });
+            },
+            function(cb) {
+                getJSON(port, '/healthz', function(err, res) {
+                    test.equal(res && res.code, 200);
+                    cb(err);
+                }, agent);
+            },
+            function(cb) {
+                var start = Date.now();
+                top.__ca_shutdown__(null, function(err) {
+                    test.ok(Date.now() - start < 1000, 'slow shutdown');
+                    cb(err);
+                });
+            },
+            function(cb) {
+                getJSON(port, '/healthz', function(err) {
+                    test.ok(err, 'server not closed');
+                    cb(null);
+                });
+            }
+        ], function(err) {
+            agent.destroy();
+            test.ifError(err);
+            test.done();
+        });
+    });
+};
+
+exports.gracefulShutdown = function(test) {
+    test.expect(9);
+    var EXIT_CODES = main.gen_supervisor.EXIT_CODES;
+    var nListeners = process.listenerCount('SIGUSR2');
+    async.series([
+        function(cb) {
+            hello.load(null, null, 'shutdown1.json', null, function(err, $) {
+                test.ifError(err);
+                var sup = $.sup;
+                test.equal(process.listenerCount('SIGUSR2'), nListeners + 1);
+                process.emit('SIGUSR2');
+                var check = function() {
+                    if (sup.__ca_isShutdown__ && !sup.$.h1 && !sup.$.h2) {
+                        test.equal(process.listenerCount('SIGUSR2'),
+                                   nListeners);
+                        cb(null);
+                    } else {
+                        setTimeout(check, 50);
+                    }
+                };
+                check();
+            });
+        },
+        function(cb) {
+            var spec = {
+                components: [{name: 'h2', env: {shutdownDelay: 2000}}]
+            };
+            hello.load(null, spec, 'shutdown1.json', null, function(err, $) {
+                test.ifError(err);
+                var codes = [];
+                var sup = $.sup;
+                sup.__ca_gracefulShutdown__('test', function(err, code) {
+                    test.equal(code, EXIT_CODES.TIMEOUT);
+                    test.deepEqual(err.pending, ['sup/h1', 'sup/h2']);
+                    codes.push(code);
+                });
+                // a repeated request waits for the first one
+                sup.__ca_gracefulShutdown__('again', function(err, code) {
+                    codes.push(code);
+                    test.deepEqual(codes, [EXIT_CODES.TIMEOUT,
+                                           EXIT_CODES.TIMEOUT]);
+                    sup.__ca_gracefulShutdown__('late', function(err, code) {
+                        test.equal(code, EXIT_CODES.TIMEOUT);
+                        // let the slow shutdown finish
+                        setTimeout(cb, 1600);
+                    });
+                });
+            });
+        }
+    ], function(err) {
+        test.ifError(err);
+        test.done();
+    });
+};
+
+exports.timeouts = function(test) {
+    test.expect(8);
+    var delayImpl = require('./hello/delayImpl.js');
+    async.series([
+        function(cb) {
+            delayImpl.events.length = 0;
+            var spec = {
+                env: {maxRetries: 1},
+                components: [{
+                    name: 'h2',
+                    env: {delay: 300, __ca_timeouts__: {create: 100}}
+                }]
+            };
+            hello.load(null, spec, 'hello6.json', null, function(err) {
+                test.ok(err && err.timeout, 'no timeout');
+                test.equal(err && err.component, 'h2');
+                setTimeout(function() {
+                    // created after timeout, and then shutdown
+                    test.ok(delayImpl.events.indexOf('shutdown:h2') >= 0,
+                            'late component not shutdown');
+                    cb(null);
+                }, 400);
+            });
+        },
+        function(cb) {
+            var spec = {
+                components: [{
+                    name: 'h2',
+                    env: {shutdownDelay: 2000, __ca_timeouts__: {shutdown: 100}}
+                }]
+            };
+            hello.load(null, spec, 'hello6.json', null, function(err, $) {
+                test.ifError(err);
+                var start = Date.now();
+                var abandoned = [];
+                $.hello.__ca_subscribe__(function(event) {
+                    (event.type === 'childAbandoned') &&
+                        abandoned.push(event.child);
+                });
+                $.hello.__ca_shutdown__(null, function(err) {
+                    test.ifError(err);
+                    test.ok(Date.now() - start < 1000, 'no shutdown timeout');
+                    test.deepEqual(abandoned, ['h2']);
+                    // let the slow shutdown finish
+                    setTimeout(cb, 2000);
+                });
+            });
+        }
+    ], function(err) {
+        test.ifError(err);
+        test.done();
+    });
+};
+
+exports.reconfigure = function(test) {
+    test.expect(17);
+    hello.load(null, {name: 'hello'}, 'hello3.json', null, function(err, $) {
+        test.ifError(err);
+        var top = $.hello;
+        var oldH1 = top.$.h1;
+        var oldH2 = top.$.h2;
+        var newSpec = myUtils.deepClone(top.__ca_getSpec__());
+        newSpec.components[0].env.message = 'changed';
+        var h22 = myUtils.deepClone(newSpec.components[1].components[0]);
+        h22.name = 'h22';
+        newSpec.components[1].components.push(h22);
+        var h3 = myUtils.deepClone(newSpec.components[0]);
+        h3.name = 'h3';
+        newSpec.components.push(h3);
+        top.__ca_reconfigure__(null, newSpec, function(err, changes) {
+            test.ifError(err);
+            test.deepEqual(changes, {
+                added: ['h3', 'h2/h22'],
+                removed: [],
+                restarted: ['h1'],
+                reconfigured: ['h2']
+            });
+            test.ok(top.$.h1 !== oldH1, 'h1 not restarted');
+            test.equal(top.$.h1.__ca_getSpec__().env.message, 'changed');
+            test.ok((top.$.h2 === oldH2) && top.$.h2.$.h22 && top.$.h3,
+                    'bad children');
+            var names = function(comp) {
+                return comp.__ca_getSpec__().components.map(function(x) {
+                    return x.name;
+                });
+            };
+            test.deepEqual(names(top), ['h1', 'h2', 'h3']);
+            test.deepEqual(names(top.$.h2), ['h21', 'h22']);
+            // waits for a checkup in progress
+            var done = [];
+            newSpec.components.pop();
+            top.__ca_checkup__(null, function(err) {
+                test.ifError(err);
+                done.push('checkup');
+            });
+            top.__ca_reconfigure__(null, newSpec, function(err, changes) {
+                test.ifError(err);
+                done.push('reconfigure');
+                test.deepEqual(done, ['checkup', 'reconfigure']);
+                test.deepEqual(changes.removed, ['h3']);
+                // values are compared strictly
+                newSpec = myUtils.deepClone(newSpec);
+                newSpec.components[0].env.number = '8';
+                top.__ca_reconfigure__(null, newSpec, function(err, changes) {
+                    test.ifError(err);
+                    test.deepEqual(changes.restarted, ['h1']);
+                    test.strictEqual(top.$.h1.__ca_getSpec__().env.number,
+                                     '8');
+                    newSpec.env.number = '7';
+                    top.__ca_reconfigure__(null, newSpec, function(err) {
+                        test.ok(err && err.restartRequired,
+                                'env changes allowed');
+                        top.__ca_shutdown__(null, function(err) {
+                            test.ifError(err);
+                            test.done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.diff = function(test) {
+    test.expect(6);
+    var templateUtils = main.templateUtils;
+    var oldDesc = require('./hello/hello3.json');
+    var newDesc = myUtils.deepClone(oldDesc);
+    var h1 = newDesc.components.shift();
+    h1.env.message = 'changed';
+    newDesc.components.push(h1);
+    newDesc.components.unshift({name: 'h0', module: './helloImpl', env: {}});
+    newDesc.components[1].components = [];
+    newDesc.components[1].module = './helloImpl2';
+
+    var changes = templateUtils.diff(oldDesc, newDesc);
+    test.deepEqual(changes, [
+        {op: 'added', path: 'hello/h0', index: 0},
+        {op: 'moved', path: 'hello/h1', from: 0, to: 2},
+        {op: 'module', path: 'hello/h2', oldValue: './helloManyImpl',
+         newValue: './helloImpl2'},
+        {op: 'removed', path: 'hello/h2/h21', index: 0},
+        {op: 'env', path: 'hello/h1', key: 'message', oldValue: 'child1',
+         newValue: 'changed'}
+    ]);
+    test.equal(templateUtils.diff(oldDesc, oldDesc).length, 0);
+
+    var delta = templateUtils.delta(oldDesc, newDesc);
+    var merged = templateUtils.merge(oldDesc, delta, true);
+    test.deepEqual(JSON.parse(JSON.stringify(merged)),
+                   JSON.parse(JSON.stringify(newDesc)));
+    test.deepEqual(templateUtils.delta(oldDesc, oldDesc), {name: 'hello'});
+
+    // values are compared strictly
+    var oldTyped = {name: 'hello', module: './helloImpl',
+                    env: {x: 1, y: null}};
+    var newTyped = {name: 'hello', module: './helloImpl',
+                    env: {x: '1', z: null}};
+    test.deepEqual(templateUtils.diff(oldTyped, newTyped), [
+        {op: 'env', path: 'hello', key: 'x', oldValue: 1, newValue: '1'},
+        {op: 'env', path: 'hello', key: 'y', oldValue: null,
+         newValue: undefined},
+        {op: 'env', path: 'hello', key: 'z', oldValue: undefined,
+         newValue: null}
+    ]);
+    var mergedTyped = templateUtils.merge(
+        oldTyped, templateUtils.delta(oldTyped, newTyped), true
+    );
+    test.ok(myUtils.deepStrictEqual(mergedTyped.env, newTyped.env));
+    test.done();
+};
+
+exports.directives = function(test) {
+    test.expect(5);
+    var templateUtils = main.templateUtils;
+    var template = {
+        name: 'top', module: 'm', env: {},
+        components: [
+            {name: 'a', module: 'm', env: {x: 1, y: 2}},
+            {name: 'b', module: 'm', env: {}},
+            {name: 'c', module: 'm', env: {}}
+        ]
+    };
+    var merged = templateUtils.merge(template, {
+        name: 'top',
+        components: [
+            {name: 'a', after: 'c'},
+            {name: 'd', module: 'm', env: {}, before: 'b'},
+            {name: 'c', module: 'm2', env: {z: 3}, replace: true}
+        ]
+    }, false);
+    test.deepEqual(merged.components.map(function(x) { return x.name;}),
+                   ['d', 'b', 'c', 'a']);
+    test.deepEqual(merged.components[2], {name: 'c', module: 'm2',
+                                          env: {z: 3}});
+    test.ok(merged.components.every(function(x) {
+        return (x.after === undefined) && (x.before === undefined) &&
+            (x.replace === undefined);
+    }), 'directives not removed');
+    test.throws(function() {
+        templateUtils.merge(template, {
+            name: 'top', components: [{name: 'a', before: 'foo'}]
+        }, false);
+    });
+    var newDesc = myUtils.deepClone(template);
+    newDesc.components.reverse();
+    delete newDesc.components[2].env.y;
+    var delta = templateUtils.delta(template, newDesc);
+    test.deepEqual(JSON.parse(JSON.stringify(
+        templateUtils.merge(template, delta, false).components
+    )), newDesc.components);
+    test.done();
+};
+
+exports.envMerge = function(test) {
+    test.expect(8);
+    var templateUtils = main.templateUtils;
+    var template = {
+        name: 'top', module: 'm', env: {},
+        components: [
+            {name: 'a', module: 'm', env: {
+                db: {host: 'localhost', port: 6379, opts: {tls: false}},
+                tags: ['x'],
+                peers: [{name: 'p1', w: 1}, {name: 'p2', w: 1}],
+                debug: true
+            }}
+        ]
+    };
+    var merged = templateUtils.merge(template, {
+        name: 'top', envMerge: 'deep',
+        components: [
+            {name: 'a', env: {
+                db: {port: 6380, opts: {ca: 'ca.pem'}},
+                tags: {__ca_array__: 'append', value: ['y']},
+                peers: {__ca_array__: 'mergeByKey',
+                        value: [{name: 'p2', w: 2}, {name: 'p3', w: 3}]},
+                debug: '__ca_delete__'
+            }}
+        ]
+    }, false);
+    test.deepEqual(merged.components[0].env, {
+        db: {host: 'localhost', port: 6380, opts: {tls: false, ca: 'ca.pem'}},
+        tags: ['x', 'y'],
+        peers: [{name: 'p1', w: 1}, {name: 'p2', w: 2}, {name: 'p3', w: 3}]
+    });
+    test.ok(merged.envMerge === undefined, 'directive not removed');
+
+    // shallow by default, unless marked
+    merged = templateUtils.merge(template, {
+        name: 'top',
+        components: [{name: 'a', env: {db: {port: 6380}}}]
+    }, false);
+    test.deepEqual(merged.components[0].env.db, {port: 6380});
+    merged = templateUtils.merge(template, {
+        name: 'top',
+        components: [{name: 'a', env: {
+            db: {__ca_merge__: 'deep', port: 6380}
+        }}]
+    }, false);
+    test.deepEqual(merged.components[0].env.db,
+                   {host: 'localhost', port: 6380, opts: {tls: false}});
+
+    test.throws(function() {
+        templateUtils.merge(template, {
+            name: 'top', components: [{name: 'a', env: {
+                tags: {__ca_array__: 'foo', value: []}
+            }}]
+        }, false);
+    });
+
+    // deltas can now delete env properties in place
+    var newDesc = myUtils.deepClone(template);
+    delete newDesc.components[0].env.debug;
+    test.deepEqual(templateUtils.delta(template, newDesc).components,
+                   [{name: 'a', env: {debug: '__ca_delete__'}}]);
+
+    // markers in a single layer are also removed
+    var single = templateUtils.merge({
+        name: 'top', module: 'm',
+        env: {
+            db: {__ca_merge__: 'deep', host: 'localhost'},
+            tags: {__ca_array__: 'append', value: ['x']}
+        },
+        components: [{name: 'a', module: 'm',
+                      env: {peers: {__ca_array__: 'replace', value: []}}}]
+    }, null, false);
+    test.deepEqual(single.env, {db: {host: 'localhost'}, tags: ['x']});
+    test.deepEqual(single.components[0].env, {peers: []});
+    test.done();
+};
+
+exports.layers = function(test) {
+    test.expect(10);
+    hello.load(null, null, 'hello7.json', null, function(err, $) {
+        test.ifError(err);
+        test.equal($.hello.getLanguage(), 'spanish');
+        test.equal($.hello.getMessage(), 'hello team');
+        test.equal($.hello.getNumber(), 7);
+        var layers = $.$.loader.__ca_getLayers__('hello7.json');
+        // `base1.json` is only merged once
+        test.deepEqual(layers.layers, ['./base1.json', './team1.json',
+                                       './hello7.json', './hello7++.json']);
+        test.equal(layers.values['hello'], './base1.json');
+        test.equal(layers.values['hello.env.flag'], './base1.json');
+        test.equal(layers.values['hello.env.message'], './team1.json');
+        test.equal(layers.values['hello.env.number'], './hello7++.json');
+        $.hello.__ca_shutdown__(null, function(err) {
+            hello.load(null, null, 'cycle1.json', null, function(err, $) {
+                test.deepEqual(err && err.cycle, ['./cycle1.json',
+                                                  './cycle2.json',
+                                                  './cycle1.json']);
+                test.done();
+            });
+        });
+    });
+};
+
+exports.profiles = function(test) {
+    test.expect(10);
+    var modules = [hello.getModule()];
+    async.series([
+        function(cb) {
+            main.load(null, null, 'hello2.json', modules, null,
+                      {profile: 'prod'}, function(err, $) {
+                          test.ifError(err);
+                          test.equal($.hello.getMessage(), 'hola prod');
+                          // `hello2++.json` still applies
+                          test.equal($.hello.getOtherMessage(), 'hello mundo');
+                          $.hello.__ca_shutdown__(null, cb);
+                      });
+        },
+        function(cb) {
+            process.env.CAF_PROFILE = 'prod, eu';
+            main.load(null, null, 'hello2.json', modules, null, null,
+                      function(err, $) {
+                          delete process.env.CAF_PROFILE;
+                          test.ifError(err);
+                          test.equal($.hello.getMessage(), 'hola eu');
+                          test.equal($.hello.getLanguage(), 'catalan');
+                          var layers = $.$.loader
+                              .__ca_getLayers__('hello2.json').layers;
+                          test.deepEqual(layers.slice(-2),
+                                         ['./hello2.prod++.json',
+                                          './hello2.eu++.json']);
+                          $.hello.__ca_shutdown__(null, cb);
+                      });
+        },
+        function(cb) {
+            main.load(null, null, 'hello2.json', modules, null,
+                      {profile: ['../prod']}, function(err) {
+                          test.equal(err && err.profile, '../prod');
+                          // missing profile deltas are ignored
+                          main.load(null, null, 'hello2.json', modules, null,
+                                    {profile: 'dev'}, function(err, $) {
+                                        test.ifError(err);
+                                        $.hello.__ca_shutdown__(null, cb);
+                                    });
+                      });
+        }
+    ], function(err) {
+        test.ifError(err);
+        test.done();
+    });
+};
+
+exports.expressions = function(test) {
+    test.expect(11);
+    var templateUtils = main.templateUtils;
+    process.env.EXPR_HOST = 'redis.local';
+    var desc = {
+        name: 'top', module: 'm', env: {
+            port: '${process.env.EXPR_PORT||6379|int}',
+            url: 'redis://${process.env.EXPR_HOST}:${$._.env.port}',
+            flag: '${process.env.EXPR_FLAG||yes|bool}',
+            escaped: '$${process.env.EXPR_HOST}'
+        },
+        components: [
+            {name: 'h1', module: 'm', env: {
+                peers: '${process.env.EXPR_PEERS||a, b|list}',
+                url: '${$(../h2).env.db.url}',
+                legacy: '$._.env.url'
+            }},
+            {name: 'h2', module: 'm', env: {
+                db: {url: '${$(/).env.url}'},
+                port: '${$(..).env.port|string}'
+            }}
+        ]
+    };
+    templateUtils.resolveLinks(desc);
+    delete process.env.EXPR_HOST;
+    test.equal(desc.env.port, 6379);
+    test.equal(desc.env.url, 'redis://redis.local:6379');
+    test.equal(desc.env.flag, true);
+    test.equal(desc.env.escaped, '${process.env.EXPR_HOST}');
+    test.deepEqual(desc.components[0].env,
+                   {peers: ['a', 'b'], url: 'redis://redis.local:6379',
+                    legacy: 'redis://redis.local:6379'});
+    test.equal(desc.components[1].env.port, '6379');
+
+    var resolve = function(env) {
+        try {
+            templateUtils.resolveLinks({name: 't', module: 'm', env: env});
+            return null;
+        } catch (err) {
+            return err;
+        }
+    };
+    var err = resolve({x: '${process.env.EXPR_MISSING!}'});
+    test.equal(err && err.path, 't.env.x');
+    err = resolve({x: '${$._.env.y}', y: 'a${$._.env.x}'});
+    test.deepEqual(err && err.cycle, ['t.env.x', 't.env.y', 't.env.x']);
+    test.ok(resolve({x: 'abc', y: '${$._.env.x|int}'}), 'not an int');
+    test.ok(resolve({x: '${$(../foo).env.x}'}), 'unknown component');
+    test.equal(resolve({x: '${process.env.EXPR_MISSING}'}), null);
+    test.done();
+};
+
+exports.secrets = function(test) {
+    test.expect(13);
+    var fs = require('fs');
+    var os = require('os');
+    var path = require('path');
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'caf-secrets-'));
+    fs.writeFileSync(path.join(dir, 'hello_msg'), 'top secret message\n');
+    fs.writeFileSync(path.join(dir, 'hello_lang'), 'klingon-secret');
+    fs.writeFileSync(path.join(dir, 'other'), 'other secret value');
+    var cleanup = function() {
+        delete process.env.CAF_SECRETS_DIR;
+        ['hello_msg', 'other'].forEach(function(x) {
+            fs.unlinkSync(path.join(dir, x));
+        });
+        fs.rmdirSync(dir);
+    };
+    process.env.CAF_SECRETS_DIR = dir;
+    var spec = {
+        name: 'hello',
+        env: {otherMessage: 'secret.file:' + path.join(dir, 'other')}
+    };
+    hello.load(null, spec, 'secret1.json', null, function(err, $) {
+        test.ifError(err);
+        test.equal($.hello.getMessage(), 'top secret message');
+        test.equal($.hello.getLanguage(), 'lang-klingon-secret');
+        test.equal($.hello.getOtherMessage(), 'other secret value');
+        var env = $.hello.__ca_getSpec__().env;
+        test.equal(env.message, 'top secret message');
+        test.equal(env.language, 'lang-klingon-secret');
+        test.equal(env.otherMessage, 'other secret value');
+        var redacted = $.hello.__ca_getRedactedSpec__().env;
+        test.equal(redacted.message, myUtils.REDACTED);
+        test.equal(redacted.language, 'lang-' + myUtils.REDACTED);
+        var error = new Error('Oops');
+        error.spec = {env: {msg: 'top secret message'}};
+        test.ok(myUtils.errToPrettyStr(error)
+                .indexOf('top secret message') === -1);
+        $.hello.__ca_shutdown__(null, function(err) {
+            test.ifError(err);
+            // cleared with the hierarchy
+            test.ok(myUtils.errToPrettyStr(error)
+                    .indexOf('top secret message') !== -1);
+            fs.unlinkSync(path.join(dir, 'hello_lang'));
+            hello.load(null, null, 'secret1.json', null, function(err) {
+                test.equal(err && err.secret, 'hello_lang');
+                cleanup();
+                test.done();
+            });
+        });
+    });
+};
+
+exports.provenance = function(test) {
+    test.expect(7);
+    var templateUtils = main.templateUtils;
+    var modules = [hello.getModule()];
+    var spec = {name: 'hello', env: {
+        otherMessage: 'process.env.PROV_MISSING||hi',
+        message: 'hi ${$._.env.language}'
+    }};
+    main.load(null, spec, 'hello7.json', modules, null,
+              {planOnly: true, provenance: true}, function(err, plan) {
+                  test.ifError(err);
+                  var desc = plan.description;
+                  test.deepEqual(templateUtils.getProvenance(
+                      desc, 'hello.env.otherMessage'
+                  ), {layer: 'spec', sources: ['process.env.PROV_MISSING',
+                                               'default']});
+                  test.deepEqual(templateUtils.getProvenance(
+                      desc, 'hello.env.message'
+                  ), {layer: 'spec', sources: ['hello.env.language']});
+                  test.deepEqual(templateUtils.getProvenance(
+                      desc, 'hello.env.number'
+                  ), {layer: './hello7++.json', sources: []});
+                  test.equal(templateUtils.getProvenance(desc)['hello.env.flag']
+                             .layer, './base1.json');
+                  // not enumerable
+                  test.ok(Object.keys(desc).indexOf('__ca_provenance__') < 0);
+                  main.load(null, null, 'hello7.json', modules, null,
+                            {planOnly: true}, function(err, plan) {
+                                test.equal(templateUtils.getProvenance(
+                                    plan.description
+                                ), null);
+                                test.done();
+                            });
+              });
+};
+
+exports.formats = function(test) {
+    test.expect(13);
+    var modules = [hello.getModule()];
+    async.series([
+        function(cb) {
+            main.load(null, null, 'hello9.yaml', modules, function(err, $) {
+                test.ifError(err);
+                test.equal($.hello.getLanguage(), 'french');
+                test.equal($.hello.getMessage(), 'bonjour');
+                test.equal($.hello.getNumber(), 9);
+                $.hello.__ca_shutdown__(null, cb);
+            });
+        },
+        function(cb) {
+            main.load(null, null, 'hello10.json5', modules, function(err, $) {
+                test.ifError(err);
+                test.equal($.hello.getMessage(), 'hallo welt');
+                $.hello.__ca_shutdown__(null, cb);
+            });
+        },
+        function(cb) {
+            main.load(null, null, 'bad1.yaml', modules, function(err) {
+                test.ok(err && /bad1\.yaml/.test(err.fileName));
+                test.equal(err && err.line, 4);
+                main.load(null, null, 'bad2.json', modules, function(err) {
+                    test.equal(err && err.line, 3);
+                    cb(null);
+                });
+            });
+        },
+        function(cb) {
+            // a broken delta is not ignored
+            var memory = main.resolvers.memoryResolver({
+                './hello9++.yaml': 'env:\n  message: [unclosed\n'
+            });
+            main.load(null, null, 'hello9.yaml', [memory].concat(modules),
+                      function(err) {
+                          test.ok(err && err.parseError);
+                          test.ok(err && /hello9\+\+\.yaml/
+                                  .test(err.fileName));
+                          cb(null);
+                      });
+        },
+        function(cb) {
+            var loader = require('../index').gen_loader.create();
+            loader.__ca_setModules__(modules);
+            loader.__ca_registerParser__('.txt', function(text) {
+                return {name: 'hello', module: './helloImpl',
+                        env: {message: text.trim()}};
+            });
+            var desc = loader.__ca_loadDescription__('hello1.txt', true);
+            test.equal(desc.env.message, 'hola mundo');
+            cb(null);
+        }
+    ], function(err) {
+        test.ifError(err);
+        test.done();
+    });
+};
+
+exports.resolvers = function(test) {
+    test.expect(13);
+    var path = require('path');
+    var resolvers = main.resolvers;
+    var helloImpl = require('./hello/helloImpl');
+    var memory = resolvers.memoryResolver({
+        './mem1.yaml': 'name: hello\nmodule: ./memImpl\nenv:\n' +
+            '  message: from memory\n',
+        './memImpl': helloImpl
+    });
+    var store = resolvers.storeResolver(new Map([
+        ['./mem1++.yaml', '{"name": "hello", "env": {"number": 5}}']
+    ]), 'kv');
+    var dirs = resolvers.dirsResolver([path.join(__dirname, 'bye'),
+                                       path.join(__dirname, 'hello')]);
+    async.series([
+        function(cb) {
+            main.load(null, null, 'mem1.yaml', [memory, store, dirs],
+                      function(err, $) {
+                          test.ifError(err);
+                          test.equal($.hello.getMessage(), 'from memory');
+                          test.equal($.hello.getNumber(), 5);
+                          var ind = $.$.loader.__ca_getModuleIndex__();
+                          test.equal(ind['./mem1.yaml'].type, 'memory');
+                          test.equal(ind['./mem1++.yaml'].id, 'kv');
+                          test.equal(ind['./memImpl'].type, 'memory');
+                          test.deepEqual($.$.loader.__ca_firstModulePath__(true),
+                                         {path: path.join(__dirname, 'bye'),
+                                          resolver: dirs.id});
+                          var loader = main.gen_loader.create();
+                          loader.__ca_setModules__([memory]);
+                          test.throws(function() {
+                              loader.__ca_firstModulePath__();
+                          }, /no resolver with a root/);
+                          $.hello.__ca_shutdown__(null, cb);
+                      });
+        },
+        function(cb) {
+            main.load(null, null, 'hello2.json', [dirs], function(err, $) {
+                test.ifError(err);
+                test.equal($.hello.getMessage(), 'adios mundo');
+                var ind = $.$.loader.__ca_getModuleIndex__();
+                test.equal(ind['./hello2.json'].type, 'dirs');
+                test.equal(ind['./helloImpl'].type, 'dirs');
+                $.hello.__ca_shutdown__(null, cb);
+            });
+        }
+    ], function(err) {
+        test.ifError(err);
+        test.done();
+    });
+};
+
+exports.esm = function(test) {
+    test.expect(13);
+    var modules = [hello.getModule()];
+    async.series([
+        function(cb) {
+            main.load(null, null, 'esm1.json', modules, function(err, $) {
+                test.ifError(err);
+                test.equal($.hello.$.h1.getMessage(), 'esm: child1');
+                test.equal($.hello.$.h2.getMessage(), 'child2!');
+                var ind = $.$.loader.__ca_getModuleIndex__();
+                test.equal(ind['./esmLib.mjs'].type, 'module');
+                $.hello.__ca_shutdown__(null, cb);
+            });
+        },
+        function(cb) {
+            // envSchema exported by an ES module
+            var delta = {name: 'hello',
+                         components: [{name: 'h1', env: {message: 5}}]};
+            main.load(null, delta, 'esm1.json', modules, function(err) {
+                test.ok(err && Array.isArray(err.errors));
+                test.ok(err && /components\[0\]\.env\.message/
+                        .test(err.errors[0].path));
+                cb(null);
+            });
+        },
+        function(cb) {
+            var loader = main.gen_loader.create();
+            loader.__ca_setModules__(modules);
+            loader.__ca_importComponent__('./esmLib.mjs#impl')
+                .then(function(res) {
+                    test.equal(typeof res[1].newInstance, 'function');
+                    return loader.__ca_importComponent__('./missing.mjs');
+                })
+                .then(function(res) {
+                    test.ok(res[0] && res[0].importError);
+                    // not an ES module
+                    return loader.__ca_importComponent__('./missingImpl');
+                })
+                .then(function(res) {
+                    test.equal(res[0] && res[0].code, 'MODULE_NOT_FOUND');
+                    test.ok(res[0] && !res[0].importError);
+                    cb(null);
+                }, cb);
+        },
+        function(cb) {
+            // exceptions in the callback are not caught by the import
+            var loader = main.gen_loader.create();
+            loader.__ca_setModules__(modules);
+            var calls = 0;
+            process.once('uncaughtException', function(err) {
+                test.equal(err.message, 'Oops');
+                setTimeout(function() {
+                    test.equal(calls, 1);
+                    cb(null);
+                }, 100);
+            });
+            loader.__ca_importComponent__('./esmLib.mjs#impl', function() {
+                calls = calls + 1;
+                throw new Error('Oops');
+            });
+        }
+    ], function(err) {
+        test.ifError(err);
+        test.done();
+    });
+};
+
+exports.restartDuringCheckup = function(test) {
+    test.expect(7);
+    var delayImpl = require('./hello/delayImpl.js');
+    var spec = {
+        env: {interval: 100000},
+        components: [{name: 'h1', env: {delay: 500}}]
+    };
+    delayImpl.events = [];
+    hello.load(null, spec, 'shutdown1.json', null, function(err, $) {
+        test.ifError(err);
+        var sup = $.sup;
+        delayImpl.events = [];
+        var checkups = 0;
+        // in progress, the restart waits for it
+        sup.__ca_checkup__(null, function(err) {
+            test.ifError(err);
+            checkups = checkups + 1;
+        });
+        sup.__ca_restartChild__(null, 'h1', function(err, child) {
+            test.ifError(err);
+            test.equal(checkups, 2);
+            test.strictEqual(sup.$.h1, child);
+            // let any duplicate creation finish
+            setTimeout(function() {
+                test.deepEqual(delayImpl.events, ['shutdown:h1',
+                                                  'created:h1']);
+                sup.__ca_shutdown__(null, function(err) {
+                    test.ifError(err);
+                    test.done();
+                });
+            }, 700);
+        });
+        // while creating the slow child, skipped
+        setTimeout(function() {
+            sup.__ca_checkup__(null, function(err) {
+                checkups = checkups + 1;
+                err && test.ifError(err);
+            });
+        }, 100);
+    });
+};
+
+exports.bundled = function(test) {
+    test.expect(3);
+    // e.g., `browserify` without `module.require`
+    var loaderModule = require.cache[require.resolve('../lib/gen_loader')];
+    var loader = null;
+    loaderModule.require = undefined;
+    try {
+        loader = main.gen_loader.create();
+    } finally {
+        // also needed by the standard `require` in node.js
+        delete loaderModule.require;
+    }
+    loader.__ca_setStaticArtifacts__({
+        './static1.json': {name: 'hello', module: './helloImpl',
+                           env: {message: 'static'}},
+        './helloImpl': require('./hello/helloImpl')
+    });
+    var desc = loader.__ca_loadDescription__('static1.json', true);
+    test.equal(desc.env.message, 'static');
+    var comp = loader.__ca_resolveComponent__('./helloImpl');
+    test.equal(typeof comp.newInstance, 'function');
+    test.equal(loader.__ca_getModuleIndex__()['./helloImpl'].type,
+               'static');
+    test.done();
+};
+
+exports.esmPackage = function(test) {
+    test.expect(5);
+    var fs = require('fs');
+    var os = require('os');
+    var path = require('path');
+    var url = require('url');
+    var resolvers = main.resolvers;
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'caf-'));
+    var cleanup = function() {
+        // also when the test crashes
+        process.removeListener('exit', cleanup);
+        fs.rmSync(dir, {recursive: true, force: true});
+    };
+    process.on('exit', cleanup);
+    var pkgDir = path.join(dir, 'node_modules', 'esm-only');
+    fs.mkdirSync(pkgDir, {recursive: true});
+    fs.writeFileSync(path.join(pkgDir, 'package.json'), JSON.stringify({
+        name: 'esm-only',
+        exports: {'.': {import: './index.mjs'}}
+    }));
+    var esmImpl = url.pathToFileURL(path.join(__dirname, 'hello',
+                                              'esmImpl.mjs')).href;
+    fs.writeFileSync(path.join(pkgDir, 'index.mjs'),
+                     'export {default} from ' + JSON.stringify(esmImpl) +
+                     ';\n');
+    var dirs = resolvers.dirsResolver([dir]);
+    async.series([
+        function(cb) {
+            var loader = main.gen_loader.create();
+            loader.__ca_setModules__([dirs]);
+            loader.__ca_importComponent__('esm-only', function(err, comp) {
+                test.ifError(err);
+                test.equal(typeof (comp && comp.newInstance), 'function');
+                var ind = loader.__ca_getModuleIndex__();
+                test.equal(ind['esm-only'] && ind['esm-only'].id,
+                           dirs.id);
+                cb(null);
+            });
+        },
+        function(cb) {
+            // not imported relative to caf_components
+            dirs.importModule('async').then(function() {
+                test.ok(false, 'imported from caf_components');
+                cb(null);
+            }, function(err) {
+                test.equal(err.code, 'MODULE_NOT_FOUND');
+                cb(null);
+            });
+        }
+    ], function(err) {
+        cleanup();
+        test.ifError(err);
+        test.done();
+    });
+};
+
+exports.hotSwap = function(test) {
+    test.expect(14);
+    var fs = require('fs');
+    var os = require('os');
+    var path = require('path');
+    var resolvers = main.resolvers;
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'caf-'));
+    var cleanup = function() {
+        // also when the test crashes
+        process.removeListener('exit', cleanup);
+        fs.rmSync(dir, {recursive: true, force: true});
+    };
+    process.on('exit', cleanup);
+    var index = JSON.stringify(path.resolve(__dirname, '../index'));
+    var writeImpl = function(msg) {
+        fs.writeFileSync(path.join(dir, 'swapImpl.js'),
+                         'var gen = require(' + index + ').gen_component;\n' +
+                         'exports.newInstance = function($, spec, cb) {\n' +
+                         '    var that = gen.create($, spec);\n' +
+                         '    that.getMessage = function() {\n' +
+                         '        return "' + msg + '";\n' +
+                         '    };\n' +
+                         '    cb(null, that);\n' +
+                         '};\n');
+        fs.writeFileSync(path.join(dir, 'swapEsm.mjs'),
+                         'import {createRequire} from "module";\n' +
+                         'var gen = createRequire(import.meta.url)(' + index +
+                         ').gen_component;\n' +
+                         'var msg = await Promise.resolve("' + msg + '");\n' +
+                         'export var newInstance = function($, spec, cb) {\n' +
+                         '    var that = gen.create($, spec);\n' +
+                         '    that.getMessage = function() {\n' +
+                         '        return msg;\n' +
+                         '    };\n' +
+                         '    cb(null, that);\n' +
+                         '};\n');
+    };
+    var memory = resolvers.memoryResolver({
+        './swap1.json': {
+            name: 'hello', module: './helloManyImpl',
+            env: {maxRetries: 10, retryDelay: 1000},
+            components: [
+                {name: 'h1', module: './swapImpl', env: {}},
+                {name: 'h2', module: './swapEsm.mjs', env: {}}
+            ]
+        }
+    });
+    var modules = [memory, resolvers.dirsResolver([dir]), hello.getModule()];
+    writeImpl('v1');
+    main.load(null, null, 'swap1.json', modules, function(err, $) {
+        test.ifError(err);
+        if (err) {
+            cleanup();
+            test.done();
+            return;
+        }
+        var loader = $.$.loader;
+        var old = $.hello.$.h1;
+        test.equal(old.getMessage(), 'v1');
+        test.equal($.hello.$.h2.getMessage(), 'v1');
+        writeImpl('v2');
+        test.ok(loader.__ca_invalidate__('./swapImpl'));
+        test.ok(loader.__ca_invalidate__('./swapEsm.mjs'));
+        test.ok(loader.__ca_invalidate__('swap1.json'));
+        test.ok(!loader.__ca_invalidate__('./missingImpl'));
+        async.series([
+            function(cb) {
+                $.hello.__ca_restartChild__(null, 'h1', function(err, comp) {
+                    test.ifError(err);
+                    test.equal(comp.getMessage(), 'v2');
+                    test.ok(old.__ca_isShutdown__);
+                    cb(err);
+                });
+            },
+            function(cb) {
+                $.hello.__ca_restartChild__(null, 'h2', cb);
+            },
+            function(cb) {
+                test.equal($.hello.$.h2.getMessage(), 'v2');
+                $.hello.__ca_restartChild__(null, 'h3', function(err) {
+                    test.ok(err && /unknown child/.test(err.message));
+                    cb(null);
+                });
+            }
+        ], function(err) {
+            test.ifError(err);
+            $.hello.__ca_shutdown__(null, function(err) {
+                test.ifError(err);
+                cleanup();
+                test.done();
+            });
+        });
+    });
+};
+
+exports.watch = function(test) {
+    test.expect(13);
+    var fs = require('fs');
+    var os = require('os');
+    var path = require('path');
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'caf-'));
+    var cleanup = function() {
+        // also when the test crashes
+        process.removeListener('exit', cleanup);
+        fs.rmSync(dir, {recursive: true, force: true});
+    };
+    process.on('exit', cleanup);
+    var index = JSON.stringify(path.resolve(__dirname, '../index'));
+    var writeImpl = function(msg) {
+        fs.writeFileSync(path.join(dir, 'watchImpl.js'),
+                         'var gen = require(' + index + ').gen_component;\n' +
+                         'exports.newInstance = function($, spec, cb) {\n' +
+                         '    var that = gen.create($, spec);\n' +
+                         '    that.getMessage = function() {\n' +
+                         '        return "' + msg + '" + spec.env.suffix;\n' +
+                         '    };\n' +
+                         '    cb(null, that);\n' +
+                         '};\n');
+    };
+    var writeDesc = function(suffix) {
+        var child = function(name) {
+            return {name: name, module: './watchImpl', env: {suffix: suffix}};
+        };
+        fs.writeFileSync(path.join(dir, 'watch1.json'), JSON.stringify({
+            name: 'hello', module: './helloManyImpl',
+            env: {maxRetries: 10, retryDelay: 1000},
+            components: [
+                child('h1'),
+                {name: 'h2', module: './helloManyImpl',
+                 env: {maxRetries: 10, retryDelay: 1000},
+                 components: [child('h21')]}
+            ]
+        }));
+    };
+    var waitFor = function(f, cb) {
+        var start = Date.now();
+        var check = function() {
+            if (f() || (Date.now() - start > 5000)) {
+                cb(null);
+            } else {
+                setTimeout(check, 50);
+            }
+        };
+        check();
+    };
+    var modules = [main.resolvers.dirsResolver([dir]), hello.getModule()];
+    writeImpl('v1');
+    writeDesc('');
+    main.load(null, null, 'watch1.json', modules, null, {watch: true},
+              function(err, $) {
+                  test.ifError(err);
+                  if (err) {
+                      cleanup();
+                      test.done();
+                      return;
+                  }
+                  var watcher = $.$.watcher;
+                  var watched = watcher.__ca_getWatched__();
+                  test.ok(watched.indexOf(path.join(dir, 'watch1.json')) !==
+                          -1);
+                  test.ok(watched.indexOf(path.join(dir, 'watchImpl.js')) !==
+                          -1);
+                  test.equal($.hello.$.h2.$.h21.getMessage(), 'v1');
+                  var h2 = $.hello.$.h2;
+                  async.series([
+                      function(cb) {
+                          writeImpl('v2');
+                          watcher.__ca_reload__(['./watchImpl'],
+                                                function(err, res) {
+                                                    test.deepEqual(
+                                                        res.restarted,
+                                                        ['h1', 'h2/h21']
+                                                    );
+                                                    cb(err);
+                                                });
+                      },
+                      function(cb) {
+                          test.equal($.hello.$.h1.getMessage(), 'v2');
+                          test.equal($.hello.$.h2.$.h21.getMessage(), 'v2');
+                          test.strictEqual($.hello.$.h2, h2);
+                          writeDesc('!');
+                          waitFor(function() {
+                              var h1 = $.hello.$.h1;
+                              return h1 && (h1.getMessage() === 'v2!');
+                          }, cb);
+                      },
+                      function(cb) {
+                          test.equal($.hello.$.h1.getMessage(), 'v2!');
+                          test.equal($.hello.$.h2.$.h21.getMessage(), 'v2!');
+                          // the top spec has the new children
+                          test.equal($.hello.__ca_getSpec__().components[0]
+                                     .env.suffix, '!');
+                          $.hello.__ca_shutdown__(null, cb);
+                      }
+                  ], function(err) {
+                      test.ifError(err);
+                      test.ok(watcher.__ca_isShutdown__ && !$.$.watcher);
+                      cleanup();
+                      test.done();
+                  });
+              });
+};
+
 var checkTop = function(test, $) {
     //10 checks
     // top component